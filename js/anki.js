@@ -0,0 +1,646 @@
+/**
+ * anki.js
+ * Anki 단어장 가져오기 / 내보내기 모듈
+ * data.js, csv.js에 의존한다.
+ *
+ * ── 가져오기 ─────────────────────────────────────────────
+ *
+ * 1. Anki 텍스트 내보내기 (.txt, "Notes in Plain Text")
+ *    #separator:tab / #html:true / #columns:... / #deck column:N / #tags column:N 같은
+ *    머리 줄을 읽고, 나머지는 CSV 규칙(csv.js)으로 파싱한다. 머리 줄이 없으면 탭 구분.
+ * 2. Anki 패키지 (.apkg / .colpkg)
+ *    zip 안의 collection.anki21 (없으면 collection.anki2) SQLite 파일을 브라우저에서 직접 읽는다.
+ *    - zip 압축 해제: DecompressionStream('deflate-raw')
+ *    - SQLite: 읽기 전용으로 테이블 b-tree만 따라가는 최소 구현 (notes / cards / col 또는 notetypes / fields / decks)
+ *    - 최신 형식(collection.anki21b, zstd 압축)은 읽지 못함 → Anki에서 "이전 버전과 호환" 옵션으로 내보내야 함
+ *
+ * 어느 쪽이든 결과는 CSV 미리 보기와 같은 행 배열 records (첫 행 = 열 이름)로 만든다.
+ * 열: 노트 필드들 + Tags + Deck → 열 매핑(CSV.guessMapping)으로 일본어 / 읽기 / 뜻 / 카테고리에 맞춘다.
+ * - 필드의 HTML은 글자로 바꿈 (<br> → 줄바꿈, [sound:...] / 이미지 제거)
+ * - 후리가나 표기(食[た]べる, <ruby>)가 있는 필드는 한자 표기 열과 "필드 (읽기)" 열로 나눔
+ * - 덱 이름 "일본어::N5" 는 마지막 이름(N5)을 카테고리로 씀
+ * - 태그는 공백 구분 → | 구분
+ *
+ * ── 내보내기 ─────────────────────────────────────────────
+ *
+ * Anki에서 바로 가져올 수 있는 텍스트 파일 (Basic 노트 타입, 카테고리 = 덱)
+ *
+ * #separator:tab
+ * #html:true
+ * #notetype:Basic
+ * #columns:Front	Back	예문	메모	Deck	Tags
+ * #deck column:5
+ * #tags column:6
+ * <ruby>食べる<rt>たべる</rt></ruby>	먹다	ご飯を食べる=밥을 먹다		식당	N5
+ *
+ * Front / Back 외 열(예문, 메모)은 Anki에서 무시되고, 이 앱으로 다시 가져올 때만 쓰인다.
+ */
+
+const Anki = (() => {
+
+  // ── 텍스트 (.txt) ─────────────────────────────────────
+
+  const SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+
+  /**
+   * Anki 텍스트 내보내기 파싱
+   * @param {string} text
+   * @returns {{ ok: boolean, records?: string[][], error?: string }}
+   */
+  function parseAnkiText(text) {
+    const lines = text.replace(/^﻿/, '').split(/\r\n|\n|\r/);
+    const meta  = {};
+    let bodyStart = 0;
+    while (bodyStart < lines.length && lines[bodyStart].startsWith('#')) {
+      const line   = lines[bodyStart].slice(1);
+      const sepIdx = line.indexOf(':');
+      if (sepIdx !== -1) meta[line.slice(0, sepIdx).trim().toLowerCase()] = line.slice(sepIdx + 1);
+      bodyStart++;
+    }
+
+    const separator = SEPARATORS[(meta.separator || 'tab').trim().toLowerCase()] ?? meta.separator;
+    const isHTML    = (meta.html || 'true').trim().toLowerCase() !== 'false';
+    const rows      = CSV.parseCSVString(lines.slice(bodyStart).join('\n'), separator)
+      .filter(r => r.some(c => c.trim()));
+    if (rows.length === 0) return { ok: false, error: '가져올 노트가 없습니다.' };
+
+    // 특수 열 (1부터 세는 열 번호)
+    const special = {};
+    ['tags', 'deck', 'notetype', 'guid'].forEach(key => {
+      const col = parseInt(meta[`${key} column`], 10);
+      if (col > 0) special[col - 1] = key;
+    });
+
+    const columnCount = Math.max(...rows.map(r => r.length));
+    const names = (meta.columns || '').split(separator).map(n => n.trim());
+    const columns = Array.from({ length: columnCount }, (_, i) => ({
+      name: names[i] || (special[i] ? { tags: 'Tags', deck: 'Deck', notetype: 'Notetype', guid: 'GUID' }[special[i]] : `필드 ${i + 1}`),
+      role: special[i] || 'field',
+    }));
+
+    // 열 안의 태그에 파일 전체 태그(#tags)를 더하고, 덱 열이 없으면 파일 전체 덱(#deck)
+    const fieldCols = columns.map((_, i) => i).filter(i => columns[i].role === 'field');
+    const tagsCol   = columns.findIndex(c => c.role === 'tags');
+    const deckCol   = columns.findIndex(c => c.role === 'deck');
+    const notes = rows.map(cols => ({
+      fields: fieldCols.map(i => cols[i] || ''),
+      tags:   `${tagsCol >= 0 ? cols[tagsCol] || '' : ''} ${meta.tags || ''}`,
+      deck:   deckCol >= 0 ? cols[deckCol] || '' : meta.deck || '',
+    }));
+
+    const fieldNames = fieldCols.map(i => columns[i].name);
+    return { ok: true, records: buildRecords(fieldNames, notes, isHTML) };
+  }
+
+  // ── 패키지 (.apkg) ────────────────────────────────────
+
+  /**
+   * .apkg 패키지 읽기
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<{ ok: boolean, collection?: object, error?: string }>}
+   */
+  async function readPackage(buffer) {
+    const entries = readZipEntries(new Uint8Array(buffer));
+    if (!entries) return { ok: false, error: 'Anki 패키지(zip)를 읽을 수 없습니다.' };
+
+    const entry = entries.find(e => e.name === 'collection.anki21')
+      || (!entries.some(e => e.name === 'collection.anki21b') && entries.find(e => e.name === 'collection.anki2'));
+    if (!entry) {
+      return {
+        ok: false,
+        error: entries.some(e => e.name === 'collection.anki21b')
+          ? '최신 Anki 형식은 읽을 수 없습니다. Anki에서 내보낼 때 "이전 버전과 호환 (legacy)" 옵션을 켜 주세요.'
+          : 'Anki 컬렉션 파일이 없습니다.',
+      };
+    }
+
+    try {
+      const db = openSQLite(await unzipEntry(entry));
+      return { ok: true, collection: readCollection(db) };
+    } catch (err) {
+      return { ok: false, error: `Anki 패키지를 읽을 수 없습니다: ${err.message}` };
+    }
+  }
+
+  /**
+   * 컬렉션의 노트 타입 / 덱 / 노트
+   * @returns {{ notetypes: { id, name, fields: string[], count }[], notes: { mid, fields, tags, deck }[] }}
+   */
+  function readCollection(db) {
+    const col = db.readTable('col')[0] || {};
+    const models = parseJSON(col.models);
+    const decksJSON = parseJSON(col.decks);
+
+    // 스키마 11: col.models / col.decks JSON, 스키마 18: notetypes / fields / decks 테이블
+    const notetypes = Object.keys(models).length > 0
+      ? Object.values(models).map(m => ({
+        id:     String(m.id),
+        name:   m.name,
+        fields: [...(m.flds || [])].sort((a, b) => a.ord - b.ord).map(f => f.name),
+      }))
+      : db.readTable('notetypes').map(nt => ({
+        id:     String(nt.id),
+        name:   nt.name,
+        fields: db.readTable('fields')
+          .filter(f => String(f.ntid) === String(nt.id))
+          .sort((a, b) => a.ord - b.ord)
+          .map(f => f.name),
+      }));
+
+    const deckNames = Object.keys(decksJSON).length > 0
+      ? Object.fromEntries(Object.values(decksJSON).map(d => [String(d.id), d.name]))
+      : Object.fromEntries(db.readTable('decks').map(d => [String(d.id), String(d.name).split('\x1f').join('::')]));
+
+    // 노트의 덱 = 첫 카드의 덱
+    const deckByNote = {};
+    db.readTable('cards').forEach(card => {
+      if (!(card.nid in deckByNote)) deckByNote[card.nid] = deckNames[String(card.did)] || '';
+    });
+
+    const notes = db.readTable('notes').map(note => ({
+      mid:    String(note.mid),
+      fields: String(note.flds ?? '').split('\x1f'),
+      tags:   String(note.tags ?? ''),
+      deck:   deckByNote[note.id] || '',
+    }));
+
+    notetypes.forEach(nt => { nt.count = notes.filter(n => n.mid === nt.id).length; });
+    return {
+      notetypes: notetypes.filter(nt => nt.count > 0).sort((a, b) => b.count - a.count),
+      notes,
+    };
+  }
+
+  /**
+   * 한 노트 타입의 노트들을 미리 보기용 행 배열로
+   */
+  function collectionToRecords(collection, notetypeId) {
+    const notetype = collection.notetypes.find(nt => nt.id === notetypeId);
+    if (!notetype) return [];
+    const notes = collection.notes.filter(n => n.mid === notetypeId);
+    return buildRecords(notetype.fields, notes, true);
+  }
+
+  // ── 행 만들기 (공통) ──────────────────────────────────
+
+  /**
+   * 노트 → 행 배열 (첫 행 = 열 이름)
+   * 후리가나 표기가 있는 필드는 "필드 (읽기)" 열을 바로 뒤에 덧붙인다.
+   */
+  function buildRecords(fieldNames, notes, isHTML) {
+    const texts = notes.map(note => fieldNames.map((_, i) => {
+      const value = note.fields[i] || '';
+      return isHTML ? htmlToText(value) : value.trim();
+    }));
+    const withReading = fieldNames.map((_, i) => texts.some(t => FURIGANA_PATTERN.test(t[i])));
+
+    const header = [];
+    fieldNames.forEach((name, i) => {
+      header.push(name);
+      if (withReading[i]) header.push(`${name} (읽기)`);
+    });
+    header.push('Tags', 'Deck');
+
+    const rows = notes.map((note, n) => {
+      const row = [];
+      texts[n].forEach((text, i) => {
+        if (withReading[i]) row.push(...splitFurigana(text));
+        else row.push(text);
+      });
+      row.push(
+        note.tags.split(/\s+/).filter(Boolean).join('|'),
+        note.deck.split('::').pop().trim(),
+      );
+      return row;
+    });
+
+    return [header, ...rows];
+  }
+
+  /**
+   * 열 매핑 추측 (CSV.guessMapping + Anki 기본 필드 순서)
+   * 일본어 / 뜻을 못 찾으면 첫 두 필드, 읽기 열이 있으면 후리가나로.
+   */
+  function guessMapping(records) {
+    const mapping = CSV.guessMapping(records, true);
+    const header  = records[0] || [];
+    const isReadingCol = i => header[i].endsWith(' (읽기)');
+    // 마지막 두 열(Tags, Deck)과 읽기 열을 뺀 노트 필드
+    const fieldCols = header.map((_, i) => i).filter(i => i < header.length - 2 && !isReadingCol(i));
+    const unmapped  = () => fieldCols.find(i => !Object.values(mapping).includes(i)) ?? -1;
+
+    if (mapping.japanese < 0) mapping.japanese = unmapped();
+    if (mapping.korean < 0)   mapping.korean   = unmapped();
+
+    // 후리가나 표기 필드는 분리된 읽기 열로: 읽기 필드 자체 → 일본어 필드의 읽기 → 첫 읽기 열
+    const readingCols = header.map((_, i) => i).filter(isReadingCol);
+    const own    = readingCols.find(i => i - 1 === mapping.furigana);
+    const paired = readingCols.find(i => i - 1 === mapping.japanese);
+    if (own !== undefined) mapping.furigana = own;
+    else if (mapping.furigana < 0 && readingCols.length > 0) mapping.furigana = paired ?? readingCols[0];
+
+    return mapping;
+  }
+
+  // ── HTML / 후리가나 ───────────────────────────────────
+
+  // Anki 후리가나 표기: 漢字[かんじ] (앞 공백은 구분용)
+  const FURIGANA_PATTERN = /[^\s[\]]+\[[^\]]+\]/;
+
+  const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+  /**
+   * 필드 HTML → 글자 (<ruby>는 후리가나 표기로)
+   */
+  function htmlToText(html) {
+    return String(html || '')
+      .replace(/\[sound:[^\]]*\]/g, '')
+      .replace(/<rp>[\s\S]*?<\/rp>/gi, '')
+      .replace(/<ruby>([\s\S]*?)<rt>([\s\S]*?)<\/rt>\s*<\/ruby>/gi, ' $1[$2]')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(div|p|li)>/gi, '\n')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+        if (code[0] === '#') {
+          const num = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+          return String.fromCodePoint(num);
+        }
+        return ENTITIES[code.toLowerCase()] ?? match;
+      })
+      .replace(/[ \t]+\n/g, '\n')
+      .trim();
+  }
+
+  /**
+   * "食[た]べる" → ['食べる', 'たべる']
+   */
+  function splitFurigana(text) {
+    const base    = text.replace(/ ?([^\s[\]]+)\[[^\]]*\]/g, '$1').trim();
+    const reading = text.replace(/ ?([^\s[\]]+)\[([^\]]*)\]/g, '$2').replace(/\s+/g, '').trim();
+    return [base, FURIGANA_PATTERN.test(text) ? reading : ''];
+  }
+
+  // ── zip ───────────────────────────────────────────────
+
+  /**
+   * zip 중앙 디렉터리에서 파일 목록
+   * @returns {{ name, method, compressedSize, data }[] | null}
+   */
+  function readZipEntries(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // End of central directory (뒤에서부터 찾음, 주석 최대 64KB)
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd === -1) return null;
+
+    const count   = view.getUint16(eocd + 10, true);
+    let pos       = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(pos, true) !== 0x02014b50) return null;
+      const method         = view.getUint16(pos + 10, true);
+      const compressedSize = view.getUint32(pos + 20, true);
+      const nameLength     = view.getUint16(pos + 28, true);
+      const extraLength    = view.getUint16(pos + 30, true);
+      const commentLength  = view.getUint16(pos + 32, true);
+      const localOffset    = view.getUint32(pos + 42, true);
+      const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+
+      const localNameLength  = view.getUint16(localOffset + 26, true);
+      const localExtraLength = view.getUint16(localOffset + 28, true);
+      const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+
+      entries.push({ name, method, compressedSize, data: bytes.subarray(dataStart, dataStart + compressedSize) });
+      pos += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  }
+
+  async function unzipEntry(entry) {
+    if (entry.method === 0) return entry.data;
+    if (entry.method !== 8) throw new Error(`지원하지 않는 압축 방식 (${entry.method})`);
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('이 브라우저는 압축 해제를 지원하지 않습니다.');
+    }
+    const stream = new Response(entry.data).body.pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // ── SQLite (읽기 전용) ────────────────────────────────
+
+  /**
+   * SQLite 파일에서 테이블 행 읽기
+   * @param {Uint8Array} bytes
+   * @returns {{ readTable: (name: string) => object[] }}
+   */
+  function openSQLite(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (new TextDecoder().decode(bytes.subarray(0, 15)) !== 'SQLite format 3') {
+      throw new Error('SQLite 파일이 아닙니다.');
+    }
+
+    const pageSize = view.getUint16(16) === 1 ? 65536 : view.getUint16(16);
+    const usable   = pageSize - bytes[20];
+    const decoder  = new TextDecoder(['utf-8', 'utf-8', 'utf-16le', 'utf-16be'][view.getUint32(56)] || 'utf-8');
+
+    function readVarint(buf, pos) {
+      let value = 0;
+      for (let i = 0; i < 9; i++) {
+        const byte = buf[pos + i];
+        if (i === 8) return [value * 256 + byte, 9];
+        value = value * 128 + (byte & 0x7f);
+        if (byte < 0x80) return [value, i + 1];
+      }
+      return [value, 9];
+    }
+
+    /**
+     * 셀 내용 (넘치는 부분은 overflow 페이지를 따라가 이어 붙임)
+     * 페이지에 바로 들어가는 크기는 테이블 / 인덱스 b-tree가 다르다.
+     */
+    function readPayload(pos, size, isIndex) {
+      const maxLocal = isIndex ? Math.floor((usable - 12) * 64 / 255) - 23 : usable - 35;
+      if (size <= maxLocal) return bytes.subarray(pos, pos + size);
+
+      const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+      const k        = minLocal + ((size - minLocal) % (usable - 4));
+      const local    = k <= maxLocal ? k : minLocal;
+
+      const out = new Uint8Array(size);
+      out.set(bytes.subarray(pos, pos + local));
+      let copied   = local;
+      let overflow = view.getUint32(pos + local);
+      while (copied < size && overflow) {
+        const offset = (overflow - 1) * pageSize;
+        const length = Math.min(size - copied, usable - 4);
+        out.set(bytes.subarray(offset + 4, offset + 4 + length), copied);
+        copied  += length;
+        overflow = view.getUint32(offset);
+      }
+      return out;
+    }
+
+    function parseRecord(payload) {
+      const pv = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+      const [headerSize, n] = readVarint(payload, 0);
+      const types = [];
+      for (let pos = n; pos < headerSize;) {
+        const [type, len] = readVarint(payload, pos);
+        types.push(type);
+        pos += len;
+      }
+
+      const intSizes = [0, 1, 2, 3, 4, 6, 8];
+      let pos = headerSize;
+      return types.map(type => {
+        if (type === 0) return null;
+        if (type === 8) return 0;
+        if (type === 9) return 1;
+        if (type === 7) {
+          pos += 8;
+          return pv.getFloat64(pos - 8);
+        }
+        if (type <= 6) {
+          const size = intSizes[type];
+          let value = 0;
+          for (let i = 0; i < size; i++) value = value * 256 + payload[pos + i];
+          if (payload[pos] & 0x80) value -= 2 ** (size * 8);
+          pos += size;
+          return value;
+        }
+        const length = Math.floor((type - 12) / 2);
+        const data   = payload.subarray(pos, pos + length);
+        pos += length;
+        return type % 2 === 0 ? data : decoder.decode(data);
+      });
+    }
+
+    /**
+     * b-tree의 모든 행 [rowid, values]
+     * 테이블 b-tree(0x05 / 0x0D)와 WITHOUT ROWID 테이블이 쓰는 인덱스 b-tree(0x02 / 0x0A, rowid 없음)
+     */
+    function walk(pageNo, rows = []) {
+      const offset = (pageNo - 1) * pageSize;
+      const header = pageNo === 1 ? offset + 100 : offset;
+      const type   = bytes[header];
+      const cells  = view.getUint16(header + 3);
+      const isLeaf = type === 0x0d || type === 0x0a;
+      const cellAt = i => offset + view.getUint16(header + (isLeaf ? 8 : 12) + i * 2);
+
+      for (let i = 0; i < cells; i++) {
+        let pos = cellAt(i);
+        if (type === 0x05) {
+          walk(view.getUint32(pos), rows);
+          continue;
+        }
+        if (type === 0x02) {
+          walk(view.getUint32(pos), rows);
+          pos += 4;
+        }
+        const [size, n1] = readVarint(bytes, pos);
+        pos += n1;
+        if (type === 0x0d) {
+          const [rowid, n2] = readVarint(bytes, pos);
+          rows.push([rowid, parseRecord(readPayload(pos + n2, size, false))]);
+        } else {
+          rows.push([null, parseRecord(readPayload(pos, size, true))]);
+        }
+      }
+      if (!isLeaf) walk(view.getUint32(header + 8), rows);
+      return rows;
+    }
+
+    /**
+     * CREATE TABLE 문에서 저장 순서대로 열 이름과 rowid 별칭(INTEGER PRIMARY KEY) 열
+     * WITHOUT ROWID 테이블은 기본 키 열이 먼저 저장된다.
+     */
+    function parseColumns(sql) {
+      const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+      const defs = [];
+      let depth = 0;
+      let current = '';
+      for (const char of body) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+          defs.push(current.trim());
+          current = '';
+        } else {
+          current += char;
+        }
+      }
+      defs.push(current.trim());
+
+      const unquote = name => name.trim().replace(/^["`[]|["`\]]$/g, '');
+      const columns = defs
+        .filter(def => !/^(primary|unique|check|foreign|constraint)\b/i.test(def))
+        .map(def => ({
+          name:      unquote(def.split(/\s+/)[0]),
+          isInteger: /^\S+\s+integer\b/i.test(def),
+          isKey:     /\bprimary\s+key\b/i.test(def),
+        }));
+
+      const tableKey = defs.find(def => /^primary\s+key\b/i.test(def));
+      const keys = tableKey
+        ? tableKey.slice(tableKey.indexOf('(') + 1, tableKey.lastIndexOf(')')).split(',').map(k => unquote(k.trim().split(/\s+/)[0]))
+        : columns.filter(c => c.isKey).map(c => c.name);
+
+      if (/\)\s*without\s+rowid\s*;?\s*$/i.test(sql)) {
+        return [
+          ...keys.map(k => columns.find(c => c.name === k)).filter(Boolean),
+          ...columns.filter(c => !keys.includes(c.name)),
+        ].map(c => ({ name: c.name, isRowid: false }));
+      }
+      return columns.map(c => ({
+        name:    c.name,
+        isRowid: keys.length === 1 && keys[0] === c.name && c.isInteger,
+      }));
+    }
+
+    const master = walk(1).map(([, values]) => ({
+      type: values[0], name: values[1], rootpage: values[3], sql: values[4],
+    }));
+
+    function readTable(name) {
+      const table = master.find(m => m.type === 'table' && m.name === name);
+      if (!table) return [];
+      const columns = parseColumns(table.sql || '');
+      return walk(table.rootpage).map(([rowid, values]) => Object.fromEntries(
+        columns.map((c, i) => [c.name, c.isRowid && values[i] == null ? rowid : values[i] ?? null])
+      ));
+    }
+
+    return { readTable };
+  }
+
+  // ── 파일 읽기 ─────────────────────────────────────────
+
+  /**
+   * Anki 파일(.apkg / .colpkg / .txt) 읽기
+   * @param {File} file
+   * @returns {Promise<{ ok: boolean, records?: string[][], collection?: object, notetypeId?: string, error?: string }>}
+   */
+  function readAnkiFile(file) {
+    return new Promise((resolve) => {
+      const isPackage = /\.(apkg|colpkg)$/i.test(file?.name || '');
+      if (!file || (!isPackage && !/\.txt$/i.test(file.name))) {
+        return resolve({ ok: false, error: 'Anki 파일(.apkg / .txt)만 가져올 수 있습니다.' });
+      }
+
+      const reader = new FileReader();
+      reader.onload = async (e) => {
+        try {
+          if (!isPackage) {
+            return resolve(parseAnkiText(new TextDecoder().decode(e.target.result)));
+          }
+          const pkg = await readPackage(e.target.result);
+          if (!pkg.ok) return resolve(pkg);
+          if (pkg.collection.notetypes.length === 0) {
+            return resolve({ ok: false, error: '가져올 노트가 없습니다.' });
+          }
+          const notetypeId = pkg.collection.notetypes[0].id;
+          resolve({
+            ok:         true,
+            collection: pkg.collection,
+            notetypeId,
+            records:    collectionToRecords(pkg.collection, notetypeId),
+          });
+        } catch (err) {
+          resolve({ ok: false, error: `파싱 오류: ${err.message}` });
+        }
+      };
+
+      reader.onerror = () => resolve({ ok: false, error: '파일을 읽을 수 없습니다.' });
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  // ── 내보내기 ──────────────────────────────────────────
+
+  function escapeHTML(str) {
+    return String(str ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function toAnkiHTML(text) {
+    return escapeHTML(text).replace(/\r\n|\n|\r/g, '<br>');
+  }
+
+  /**
+   * 단어 배열 → Anki 텍스트
+   */
+  function wordsToAnkiText(words) {
+    const categoryMap = Object.fromEntries(Data.getCategories().map(c => [c.id, c.name]));
+
+    const lines = words.map(w => {
+      const details = Data.getWordDetails(w);
+      const front   = w.furigana
+        ? `<ruby>${escapeHTML(w.japanese)}<rt>${escapeHTML(w.furigana)}</rt></ruby>`
+        : escapeHTML(w.japanese);
+      return [
+        front,
+        toAnkiHTML(w.korean),
+        toAnkiHTML(CSV.formatExamples(details.examples)),
+        toAnkiHTML(details.notes),
+        categoryMap[w.categoryId] || '',
+        details.tags.map(t => t.replace(/\s+/g, '_')).join(' '),
+      ].map(CSV.escapeField).join('\t');
+    });
+
+    return [
+      '#separator:tab',
+      '#html:true',
+      '#notetype:Basic',
+      '#columns:Front\tBack\t예문\t메모\tDeck\tTags',
+      '#deck column:5',
+      '#tags column:6',
+      ...lines,
+    ].join('\n');
+  }
+
+  /**
+   * 단어 전체를 Anki 텍스트 파일로 다운로드
+   */
+  function exportWordsAsAnki() {
+    const words = Data.getWords();
+    if (words.length === 0) {
+      alert('내보낼 단어가 없습니다.');
+      return;
+    }
+    const date = DateUtil.toDateString(new Date()).replace(/-/g, '');
+    CSV.downloadFile(wordsToAnkiText(words), `vocab_anki_${date}.txt`, 'text/plain;charset=utf-8;', { bom: false });
+  }
+
+  // ── 유틸 ──────────────────────────────────────────────
+
+  function parseJSON(value) {
+    try {
+      return JSON.parse(value || '{}') || {};
+    } catch {
+      return {};
+    }
+  }
+
+  // ── public API ────────────────────────────────────────
+
+  return {
+    readAnkiFile,
+    parseAnkiText,
+    collectionToRecords,
+    guessMapping,
+    wordsToAnkiText,
+    exportWordsAsAnki,
+  };
+
+})();
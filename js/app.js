@@ -5,39 +5,66 @@
  *
  * ── 탭 구성 ──────────────────────────────────────────────
  *
- * home     : 카테고리 선택 화면
+ * home     : 카테고리 선택 화면 (+ 맞춤 학습: 카테고리 · 품사 · 태그 조합과 프리셋)
  * study    : 오늘의 카드 학습
  * calendar : 잔디 캘린더 학습 기록
+ * stats    : 학습 통계 대시보드
  * settings : 단어 관리 + 설정
  *
  * ── 초기화 순서 ──────────────────────────────────────────
  *
- * 1. 기본 카테고리 초기화 (최초 1회)
- * 2. 탭 네비게이션 이벤트 바인딩
- * 3. 홈 탭 렌더링
+ * 1. 저장소(IndexedDB) 로드 + 저장 실패 알림 연결
+ * 2. 기본 카테고리 초기화 (최초 1회)
+ * 3. 단어 복습 스케줄 마이그레이션 (구버전 데이터)
+ * 4. 발음 재생(음성 목록) 준비
+ * 5. 탭 네비게이션 이벤트 바인딩
+ * 6. 홈 탭 렌더링
  */
 
 const App = (() => {
 
   // 현재 활성 탭
   let currentTab = 'home';
+  let reminderDismissedDate = null; // 알림 대체 배너를 닫은 날 (앱을 새로 열면 다시 표시)
+  let customSelection = null;       // 맞춤 학습 만들기에서 고르는 중인 조건 (닫혀 있으면 null)
 
   // 탭 ID 목록
-  const TABS = ['home', 'study', 'calendar', 'settings'];
+  const TABS = ['home', 'study', 'calendar', 'stats', 'settings'];
+
+  // 홈에서 고르는 학습 방식 (Quiz.MODES 순서와 동일)
+  const STUDY_MODE_LABELS = {
+    flip:   { icon: '🃏', label: '카드' },
+    typing: { icon: '⌨️', label: '타이핑' },
+    choice: { icon: '🔢', label: '객관식' },
+    listening: { icon: '👂', label: '듣기' },
+  };
+
+  // 홈에서 고르는 카드 방향 (Quiz.CARD_DIRECTIONS 순서와 동일)
+  const CARD_DIRECTION_LABELS = {
+    'jp-ko': { icon: '🇯🇵', label: '일 → 한' },
+    'ko-jp': { icon: '🇰🇷', label: '한 → 일' },
+    'mixed': { icon: '🔀', label: '섞기' },
+  };
 
   // ── 초기화 ────────────────────────────────────────────
 
-  function init() {
+  async function init() {
+    Storage.onError(({ message }) => showToast(message, 'error'));
+    await Storage.init();
+
     Data.initDefaultCategories();
+    Data.migrateWords();
+    Speech.init();
     bindTabEvents();
     navigateTo('home');
+    Reminder.sync();
   }
 
   // ── 탭 전환 ───────────────────────────────────────────
 
   /**
    * 탭 전환
-   * @param {string} tabId - 'home' | 'study' | 'calendar' | 'settings'
+   * @param {string} tabId - 'home' | 'study' | 'calendar' | 'stats' | 'settings'
    * @param {*} payload    - 탭에 전달할 추가 데이터 (예: categoryId)
    */
   function navigateTo(tabId, payload = null) {
@@ -59,13 +86,21 @@ const App = (() => {
         renderHome();
         break;
       case 'study':
-        if (payload?.categoryId) {
-          Card.startStudy(payload.categoryId);
+        if (payload?.resume) {
+          Card.resumeStudy();
+        } else if (payload?.categoryId) {
+          Card.startStudy(payload.categoryId, payload.mode, payload.direction, {
+            wordIds:   payload.wordIds,
+            selection: payload.selection,
+          });
         }
         break;
       case 'calendar':
         Calendar.render();
         break;
+      case 'stats':
+        Stats.render();
+        break;
       case 'settings':
         Settings.init();
         break;
@@ -94,10 +129,9 @@ const App = (() => {
     if (!container) return;
 
     const categories  = Data.getCategories();
-    const todayCount  = Data.getTodayStudyCount();
     const settings    = Storage.getSettings();
     const studyLog    = Data.getStudyLog();
-    const todayStr    = new Date().toISOString().slice(0, 10);
+    const todayStr    = Data.today();
     const todayDone   = !!(studyLog[todayStr]);
     const stats       = Data.getStats();
 
@@ -106,11 +140,20 @@ const App = (() => {
     if (summaryEl) {
       summaryEl.innerHTML = `
         <span class="summary-item">📚 총 단어 <strong>${stats.totalWords}</strong>개</span>
+        <span class="summary-item">🔁 복습 <strong>${stats.dueWords}</strong>개</span>
         <span class="summary-item">❌ 오답 <strong>${stats.wrongWords}</strong>개</span>
-        <span class="summary-item">오늘 <strong>${todayCount}</strong>개 학습</span>
+        <span class="summary-item ${stats.streak.todayDone ? 'is-done' : ''}"
+              title="하루 목표 ${settings.dailyGoal}개를 채운 날 연속 · ❄️ 프리즈 ${stats.streak.freezes}개">
+          🔥 연속 <strong>${stats.streak.current}</strong>일
+        </span>
       `;
     }
 
+    renderGoalRing();
+    renderReminderBanner();
+    renderResumeBanner();
+    renderStudyOptions(settings);
+
     // 특수 카테고리 (전체 혼합 / 오답노트)
     const wrongWords  = Data.getWrongWords();
     const specialHTML = `
@@ -134,7 +177,8 @@ const App = (() => {
       : categories.map(c => {
           const words     = Data.getWordsByCategory(c.id);
           const catLog    = studyLog[todayStr];
-          const catDone   = catLog?.categoryId === c.id;
+          const catDone   = (catLog?.sessions || []).some(sess => sess.categoryId === c.id)
+            || catLog?.categoryId === c.id; // 세션 기록이 없는 구버전 기록
           const hasWords  = words.length > 0;
 
           return `
@@ -147,22 +191,337 @@ const App = (() => {
           `;
         }).join('');
 
-    container.innerHTML = specialHTML + categoryHTML;
+    // 단어가 하나도 없으면 단어장 라이브러리 안내
+    const emptyHintHTML = stats.totalWords === 0 ? `
+      <div class="home-empty-hint">
+        <span>아직 단어가 없어요. 기본 단어장으로 바로 시작해 보세요.</span>
+        <button id="btn-open-library" class="btn btn--sakura btn--sm">📦 단어장 가져오기</button>
+      </div>
+    ` : '';
+
+    container.innerHTML = emptyHintHTML + specialHTML + categoryHTML;
+
+    document.getElementById('btn-open-library')?.addEventListener('click', () => {
+      navigateTo('settings');
+      document.getElementById('deck-library')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
 
     // 카테고리 카드 클릭 → 학습 시작
     container.querySelectorAll('.category-card:not(.disabled)').forEach(card => {
-      card.addEventListener('click', () => {
-        const categoryId = card.dataset.categoryId;
-        navigateTo('study', { categoryId });
-        // 하단 탭바 study 활성화
-        TABS.forEach(id => {
-          document.querySelector(`[data-tab="${id}"]`)
-            ?.classList.toggle('active', id === 'study');
-        });
+      card.addEventListener('click', () => startStudyFromHome({ categoryId: card.dataset.categoryId }));
+    });
+
+    renderCustomStudy();
+  }
+
+  /**
+   * 홈에서 고른 대상으로 학습 시작 (학습 방식 / 방향은 홈에서 고른 설정값)
+   * @param {object} payload - { categoryId, selection? }
+   */
+  function startStudyFromHome(payload) {
+    const { studyMode, cardDirection } = Storage.getSettings();
+    navigateTo('study', { ...payload, mode: studyMode, direction: cardDirection });
+    // 하단 탭바 study 활성화
+    TABS.forEach(id => {
+      document.querySelector(`[data-tab="${id}"]`)
+        ?.classList.toggle('active', id === 'study');
+    });
+  }
+
+  // ── 맞춤 학습 (카테고리 · 품사 · 태그 조합) ───────────
+
+  /**
+   * 저장한 프리셋 카드 + 맞춤 학습 만들기
+   * 이벤트는 컨테이너에 위임으로 한 번만 연결한다.
+   */
+  function renderCustomStudy() {
+    const container = document.getElementById('custom-study');
+    if (!container) return;
+
+    const presetHTML = Data.getPresets().map(p => {
+      const count = Data.getWordsBySelection(p).length;
+      return `
+        <div class="category-card preset ${count === 0 ? 'disabled' : ''}" data-preset-id="${p.id}">
+          <span class="category-name">${escapeHTML(p.name)}</span>
+          <span class="preset-desc">${escapeHTML(Data.describeSelection(p))}</span>
+          <span class="category-count">${count}개</span>
+          <button class="btn-preset-delete" data-action="delete-preset" title="프리셋 삭제">✕</button>
+        </div>
+      `;
+    }).join('');
+
+    container.innerHTML = `
+      <div class="preset-list">
+        ${presetHTML}
+        <div class="category-card preset-new" data-action="toggle-builder">
+          <span class="category-icon">${customSelection ? '✕' : '➕'}</span>
+          <span class="category-name">${customSelection ? '닫기' : '새 맞춤 학습'}</span>
+        </div>
+      </div>
+      <div id="custom-builder" class="custom-builder ${customSelection ? '' : 'hidden'}"></div>
+    `;
+    renderCustomBuilder();
+
+    if (container.dataset.bound) return;
+    container.dataset.bound = 'true';
+    container.addEventListener('click', handleCustomStudyClick);
+  }
+
+  /**
+   * 조건 고르기: 카테고리 / 품사 / 태그 칩 (여러 개), 맞는 단어 수, 학습 시작 / 프리셋 저장
+   */
+  function renderCustomBuilder() {
+    const builder = document.getElementById('custom-builder');
+    if (!builder || !customSelection) return;
+
+    const chips = (type, items) => items.map(({ value, label }) => `
+      <button class="filter-chip ${customSelection[type].includes(value) ? 'active' : ''}"
+        data-type="${type}" data-value="${escapeHTML(value)}">${escapeHTML(label)}</button>
+    `).join('');
+
+    const categories    = Data.getCategories().map(c => ({ value: c.id, label: c.name }));
+    const partsOfSpeech = Data.getAllPartsOfSpeech().map(pos => ({ value: pos, label: pos }));
+    const tags          = Data.getAllTags().map(t => ({ value: t, label: `#${t}` }));
+    const count = Data.isEmptySelection(customSelection)
+      ? 0
+      : Data.getWordsBySelection(customSelection).length;
+
+    builder.innerHTML = `
+      <p class="builder-label">카테고리 <small>(안 고르면 전체)</small></p>
+      <div class="filter-chips">${chips('categoryIds', categories)}</div>
+      <p class="builder-label">품사</p>
+      <div class="filter-chips">
+        ${partsOfSpeech.length > 0 ? chips('partsOfSpeech', partsOfSpeech) : '<span class="builder-empty">품사를 입력한 단어가 없습니다.</span>'}
+      </div>
+      <p class="builder-label">태그</p>
+      <div class="filter-chips">
+        ${tags.length > 0 ? chips('tags', tags) : '<span class="builder-empty">태그를 붙인 단어가 없습니다.</span>'}
+      </div>
+      <p class="builder-count">
+        ${Data.isEmptySelection(customSelection)
+          ? '카테고리, 품사, 태그 중 하나 이상 골라주세요.'
+          : `${escapeHTML(Data.describeSelection(customSelection))} · 단어 <strong>${count}</strong>개`}
+      </p>
+      <button class="btn btn--sakura btn--full" data-action="start-custom" ${count === 0 ? 'disabled' : ''}>학습 시작</button>
+      <div class="preset-save">
+        <input class="form-input" type="text" id="input-preset-name" placeholder="프리셋 이름 (예: 여행 동사)" autocomplete="off">
+        <button class="btn btn--outline" data-action="save-preset">저장</button>
+      </div>
+    `;
+  }
+
+  function handleCustomStudyClick(e) {
+    const chip = e.target.closest('.filter-chip');
+    if (chip) {
+      const { type, value } = chip.dataset;
+      const list = customSelection[type];
+      customSelection[type] = list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+      const name = document.getElementById('input-preset-name')?.value || '';
+      renderCustomBuilder();
+      document.getElementById('input-preset-name').value = name;
+      return;
+    }
+
+    const target = e.target.closest('[data-action], .category-card.preset');
+    if (!target) return;
+    const presetId = target.closest('[data-preset-id]')?.dataset.presetId;
+
+    switch (target.dataset.action) {
+      case 'toggle-builder':
+        customSelection = customSelection ? null : Data.normalizeSelection();
+        renderCustomStudy();
+        break;
+      case 'start-custom':
+        startStudyFromHome({ categoryId: 'custom', selection: customSelection });
+        break;
+      case 'save-preset': {
+        const result = Data.addPreset(document.getElementById('input-preset-name')?.value, customSelection);
+        if (!result.ok) {
+          showToast(result.error, 'warning');
+          return;
+        }
+        showToast(`'${result.preset.name}' 프리셋을 저장했습니다.`, 'success');
+        customSelection = null;
+        renderCustomStudy();
+        break;
+      }
+      case 'delete-preset': {
+        const preset = Data.getPresetById(presetId);
+        if (!preset || !confirm(`'${preset.name}' 프리셋을 삭제할까요?`)) return;
+        Data.deletePreset(presetId);
+        renderCustomStudy();
+        break;
+      }
+      default: {
+        // 프리셋 카드 → 저장된 조건으로 학습 시작 (학습 기록에는 프리셋 이름도 남김)
+        const preset = Data.getPresetById(presetId);
+        if (preset) startStudyFromHome({ categoryId: 'custom', selection: { ...preset } });
+      }
+    }
+  }
+
+  /**
+   * 중간에 멈춘 세션이 있으면 "이어서 학습하기" 안내
+   * 버리기를 눌러도 이미 답한 카드의 기록은 남는다.
+   */
+  function renderResumeBanner() {
+    const banner = document.getElementById('resume-banner');
+    if (!banner) return;
+
+    const saved = Quiz.getSavedSession();
+    banner.classList.toggle('hidden', !saved);
+    if (!saved) {
+      banner.innerHTML = '';
+      return;
+    }
+
+    const mode = STUDY_MODE_LABELS[saved.mode] || STUDY_MODE_LABELS.flip;
+    banner.innerHTML = `
+      <div class="resume-info">
+        <span class="resume-title">⏸️ 이어서 학습하기</span>
+        <span class="resume-detail">
+          ${escapeHTML(getCategoryLabel(saved.categoryId, saved.selection))} · ${mode.icon} ${mode.label}
+          · ${saved.current} / ${saved.total}
+        </span>
+      </div>
+      <button id="btn-resume" class="btn btn--sakura btn--sm">이어하기</button>
+      <button id="btn-resume-discard" class="btn-resume-discard" title="버리기">✕</button>
+    `;
+
+    document.getElementById('btn-resume').addEventListener('click', () => {
+      navigateTo('study', { resume: true });
+    });
+    document.getElementById('btn-resume-discard').addEventListener('click', () => {
+      Quiz.discardSavedSession();
+      renderResumeBanner();
+    });
+  }
+
+  /**
+   * 오늘 목표 진행 링 (오늘 모든 세션 합계 / 하루 목표)
+   * 목표를 채우면 .is-met 으로 색과 문구가 바뀐다.
+   */
+  function renderGoalRing() {
+    const el = document.getElementById('home-goal');
+    if (!el) return;
+
+    const goal   = Data.getTodayGoalProgress();
+    const radius = 26;
+    const circumference = 2 * Math.PI * radius;
+    const offset = circumference * (1 - goal.percent / 100);
+
+    el.classList.toggle('is-met', goal.met);
+    el.innerHTML = `
+      <div class="goal-ring-wrap">
+        <svg class="goal-ring" viewBox="0 0 64 64" aria-hidden="true">
+          <circle class="goal-ring-track" cx="32" cy="32" r="${radius}"></circle>
+          <circle class="goal-ring-fill" cx="32" cy="32" r="${radius}"
+            stroke-dasharray="${circumference.toFixed(1)}" stroke-dashoffset="${offset.toFixed(1)}"></circle>
+        </svg>
+        <span class="goal-ring-count">${goal.count}<small>/${goal.goal}</small></span>
+      </div>
+      <div class="goal-info">
+        <span class="goal-title">오늘 목표 ${goal.goal}개</span>
+        <span class="goal-status">
+          ${goal.met ? '🎉 목표 달성! 잘했어요' : `${goal.remaining}개 더 학습하면 달성`}
+        </span>
+      </div>
+    `;
+  }
+
+  /**
+   * 학습 알림을 쓸 수 없는 환경(미지원 / 권한 거부)에서 대신 보여주는 안내
+   * 알림 시각이 지났고 오늘 목표를 못 채웠을 때, ✕로 오늘 하루 닫기
+   */
+  function renderReminderBanner() {
+    const banner = document.getElementById('reminder-banner');
+    if (!banner) return;
+
+    const show = Reminder.shouldShowBanner() && reminderDismissedDate !== Data.today();
+    banner.classList.toggle('hidden', !show);
+    if (!show) {
+      banner.innerHTML = '';
+      return;
+    }
+
+    banner.innerHTML = `
+      <span class="reminder-message">${escapeHTML(Reminder.getMessage())}</span>
+      <button id="btn-reminder-dismiss" class="btn-resume-discard" title="오늘 하루 닫기">✕</button>
+    `;
+    document.getElementById('btn-reminder-dismiss').addEventListener('click', () => {
+      reminderDismissedDate = Data.today();
+      renderReminderBanner();
+    });
+  }
+
+  function getCategoryLabel(categoryId, selection) {
+    if (categoryId === 'all')    return '전체 혼합';
+    if (categoryId === 'wrong')  return '오답노트';
+    if (categoryId === 'retry')  return '틀린 단어 다시 학습';
+    if (categoryId === 'custom') return Data.getSelectionLabel(selection);
+    return Data.getCategoryById(categoryId)?.name || '삭제된 카테고리';
+  }
+
+  /**
+   * 학습 방식 (카드 / 타이핑 / 객관식 / 듣기) + 카드 방향 (일 → 한 / 한 → 일 / 섞기) 선택
+   * 선택값은 설정(studyMode, cardDirection)에 저장되어 다음 실행에도 유지된다.
+   * 방향이 고정된 방식(타이핑, 듣기)에서는 방향 선택을 비활성화한다.
+   */
+  function renderStudyOptions(settings) {
+    renderChipSelect('study-mode-select', Quiz.MODES, STUDY_MODE_LABELS,
+      settings.studyMode, 'studyMode');
+    renderChipSelect('study-direction-select', Quiz.CARD_DIRECTIONS, CARD_DIRECTION_LABELS,
+      settings.cardDirection, 'cardDirection', !!Quiz.FIXED_DIRECTIONS[settings.studyMode]);
+  }
+
+  /**
+   * 설정값 하나를 고르는 칩 버튼 묶음
+   * @param {string}   containerId
+   * @param {string[]} values      - 선택지
+   * @param {object}   labels      - 선택지별 { icon, label }
+   * @param {string}   current     - 현재 값
+   * @param {string}   settingKey  - 저장할 설정 키
+   * @param {boolean}  disabled
+   */
+  function renderChipSelect(containerId, values, labels, current, settingKey, disabled = false) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    container.innerHTML = values.map(value => `
+      <button class="mode-chip ${value === current ? 'active' : ''}" data-value="${value}"
+        ${disabled ? 'disabled' : ''}>
+        ${labels[value].icon} ${labels[value].label}
+      </button>
+    `).join('');
+
+    container.querySelectorAll('.mode-chip').forEach(chip => {
+      chip.addEventListener('click', () => {
+        Storage.setSettings({ ...Storage.getSettings(), [settingKey]: chip.dataset.value });
+        renderStudyOptions(Storage.getSettings());
       });
     });
   }
 
+  // ── 토스트 알림 ───────────────────────────────────────
+
+  let toastTimer = null;
+
+  /**
+   * 화면 하단 토스트 메시지 표시
+   * @param {string} message
+   * @param {string} type - 'info' | 'success' | 'warning' | 'error'
+   */
+  function showToast(message, type = 'info') {
+    const toast = document.getElementById('app-toast');
+    if (!toast) return;
+
+    toast.textContent = message;
+    toast.className   = `app-toast app-toast--${type}`;
+    clearTimeout(toastTimer);
+    // 에러는 사용자가 읽을 수 있도록 더 오래 표시
+    toastTimer = setTimeout(() => toast.classList.add('hidden'), type === 'error' ? 8000 : 3000);
+  }
+
   // ── 유틸 ──────────────────────────────────────────────
 
   function escapeHTML(str) {
@@ -183,6 +542,7 @@ const App = (() => {
     init,
     navigateTo,
     getCurrentTab,
+    showToast,
   };
 
 })();
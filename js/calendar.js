@@ -8,37 +8,78 @@
  * #calendar-tab
  *   .calendar-header
  *     .calendar-title       <- "학습 기록"
- *     .calendar-stats       <- 총 학습일, 총 단어 수
- *   .calendar-months        <- 월 레이블 (Jan, Feb ...)
- *   .calendar-grid          <- 잔디 셀 52주 × 7일
- *     .calendar-cell        <- 날짜별 셀
+ *     .calendar-stats       <- 연속 / 최장 학습일, 프리즈, 총 학습일, 총 단어 수, 읽기 / 듣기 정답률
+ *   #calendar-controls      <- 연간 / 월간 보기 전환, 연도 선택 또는 이전 / 다음 달
+ *   .calendar-months        <- 월 레이블 (Jan, Feb ...) - 연간 보기만
+ *   .calendar-weekdays      <- 요일 레이블 (연간: 세로 열 / 월간: 가로 행)
+ *   .calendar-grid          <- 연간: 잔디 셀 53주 × 7일 / 월간: 7열 달력 (날짜, 학습 수 표시)
+ *     .calendar-cell        <- 날짜별 셀 (방향키로 이동, Enter / Space로 상세 열기)
  *       data-date           <- "2024-03-01"
  *       data-count          <- 학습 단어 수
+ *       .is-frozen          <- 프리즈로 연속 학습을 지킨 날
+ *       .today              <- 오늘 (학습일 기준)
+ *     .calendar-blank       <- 범위 밖 빈 칸 (요일 정렬용)
  *   .calendar-legend        <- 색상 범례
- *   .calendar-tooltip       <- 셀 터치 시 툴팁
+ *   .calendar-tooltip       <- 셀에 마우스를 올리면 툴팁
+ * #calendar-day-detail      <- 셀을 누르면 그날 상세 (세션별 단어, 오답, 학습 시간)
+ *   #btn-day-retry          <- 그날 틀린 단어 다시 학습
  *
- * ── 잔디 색상 기준 (설정에서 조정 가능) ──────────────────
+ * ── 잔디 색상 기준 (설정의 grassMode) ────────────────────
  *
- * 0개       : --grass-0 (빈 칸, 회색 테두리)
- * 1-19개    : --grass-1 (연한 초록)
- * 20-29개   : --grass-2 (중간 초록)
- * 30개 이상 : --grass-3 (진한 초록)
+ * goal (기본) - 그날의 하루 목표 기준
+ *   학습 없음       : --grass-0 (빈 칸, 회색 테두리)
+ *   목표 미달       : --grass-1 (연한 초록)
+ *   목표 달성       : --grass-2 (중간 초록)
+ *   목표 2배 이상   : --grass-3 (진한 초록)
+ * count - 단어 수 기준 (grassLevel2 / grassLevel3, 설정에서 조정 가능)
+ *   0개 / 1-19개 / 20-29개 / 30개 이상
+ *
+ * ── 보기 범위 ────────────────────────────────────────────
+ *
+ * 연간 - 최근 1년 : 오늘 기준 52주 전 일요일 ~ 오늘 (기본)
+ *        연도 선택 : 그 해 1월 1일 ~ 12월 31일 (올해는 오늘까지)
+ * 월간 - 그 달 1일 ~ 말일 (이번 달은 오늘까지), 기록이 있는 첫 달 ~ 이번 달 사이 이동
+ * 보기 / 범위 선택은 기록 탭을 다시 열어도 유지 (앱을 새로 열면 최근 1년)
  */
 
 const Calendar = (() => {
 
+  const WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+
+  // ── 보기 상태 ─────────────────────────────────────────
+
+  let view      = 'year'; // 'year' | 'month'
+  let rangeYear = null;   // 연간 보기: null = 최근 1년, 숫자 = 그 해
+  let rangeMonth = null;  // 월간 보기: 그 달 1일 Date (null = 이번 달)
+
+  const MODE_LABELS = {
+    flip:      '🃏 카드',
+    typing:    '⌨️ 타이핑',
+    choice:    '🔢 객관식',
+    listening: '👂 듣기',
+  };
+
   // ── DOM 참조 ──────────────────────────────────────────
 
   let els = {};
 
   function initElements() {
     els = {
+      wrap:    document.querySelector('#calendar-tab .calendar-wrap'),
+      controls: document.getElementById('calendar-controls'),
+      weekdays: document.getElementById('calendar-weekdays'),
       grid:    document.getElementById('calendar-grid'),
       months:  document.getElementById('calendar-months'),
       legend:  document.getElementById('calendar-legend'),
       tooltip: document.getElementById('calendar-tooltip'),
+      detail:  document.getElementById('calendar-day-detail'),
       statDays:  document.getElementById('stat-days'),
       statWords: document.getElementById('stat-words'),
+      statStreak:    document.getElementById('stat-streak'),
+      statLongest:   document.getElementById('stat-longest'),
+      statFreezes:   document.getElementById('stat-freezes'),
+      statReading:   document.getElementById('stat-reading'),
+      statListening: document.getElementById('stat-listening'),
     };
   }
 
@@ -49,72 +90,230 @@ const Calendar = (() => {
     const log      = Data.getStudyLog();
     const settings = Storage.getSettings();
 
-    renderStats(log);
-    renderGrid(log, settings);
+    const streak   = Data.getStreak();
+
+    renderStats(log, streak);
+    renderControls(log);
+    renderWeekdays();
+    renderGrid(log, settings, streak);
     renderLegend(settings);
     bindTooltip();
+    bindKeyboard();
+    hideDayDetail();
   }
 
   // ── 통계 ──────────────────────────────────────────────
 
-  function renderStats(log) {
+  function renderStats(log, streak) {
     const days       = Object.keys(log).length;
     const totalWords = Object.values(log).reduce((sum, v) => sum + (v.count || 0), 0);
 
+    // 연속 학습: 하루 목표를 채운 날 기준
+    if (els.statStreak)  els.statStreak.textContent  = `${streak.current}일`;
+    if (els.statLongest) els.statLongest.textContent = `${streak.longest}일`;
+    if (els.statFreezes) els.statFreezes.textContent = `${streak.freezes}개`;
+
     if (els.statDays)  els.statDays.textContent  = `${days}일`;
     if (els.statWords) els.statWords.textContent = `${totalWords}개`;
+
+    // 정답률: 듣기 모드와 나머지(읽기)를 따로 표시, 기록이 없으면 '-'
+    const { reading, listening } = Data.getAccuracyBySkill();
+    const formatRate = skill => (skill.rate === null ? '-' : `${skill.rate}%`);
+    if (els.statReading)   els.statReading.textContent   = formatRate(reading);
+    if (els.statListening) els.statListening.textContent = formatRate(listening);
+  }
+
+  // ── 보기 / 범위 선택 ──────────────────────────────────
+
+  function renderControls(log) {
+    if (!els.controls) return;
+
+    const todayDate = DateUtil.parse(Data.today());
+    const viewChips = [['year', '연간'], ['month', '월간']].map(([value, label]) => `
+      <button class="mode-chip ${view === value ? 'active' : ''}" data-view="${value}">${label}</button>
+    `).join('');
+
+    let rangeHTML;
+    if (view === 'year') {
+      const years = getYearOptions(log, todayDate);
+      rangeHTML = `
+        <select class="form-select calendar-year-select" id="calendar-year-select" aria-label="연도 선택">
+          <option value="">최근 1년</option>
+          ${years.map(y => `<option value="${y}" ${y === rangeYear ? 'selected' : ''}>${y}년</option>`).join('')}
+        </select>
+      `;
+    } else {
+      const month      = getRangeMonth(todayDate);
+      const firstMonth = getFirstMonth(log, todayDate);
+      const isFirst    = month <= firstMonth;
+      const isLast     = month.getFullYear() === todayDate.getFullYear() && month.getMonth() === todayDate.getMonth();
+      rangeHTML = `
+        <button class="calendar-nav-btn" data-nav="-1" aria-label="이전 달" ${isFirst ? 'disabled' : ''}>◀</button>
+        <span class="calendar-range-label">${month.getFullYear()}년 ${getMonthLabel(month.getMonth())}</span>
+        <button class="calendar-nav-btn" data-nav="1" aria-label="다음 달" ${isLast ? 'disabled' : ''}>▶</button>
+      `;
+    }
+
+    els.controls.innerHTML = `
+      <div class="chip-select calendar-view-toggle">${viewChips}</div>
+      <div class="calendar-range">${rangeHTML}</div>
+    `;
+
+    if (els.controls.dataset.bound) return; // 이벤트는 위임으로 한 번만 연결
+    els.controls.dataset.bound = 'true';
+
+    els.controls.addEventListener('click', (e) => {
+      const chip = e.target.closest('[data-view]');
+      const nav  = e.target.closest('[data-nav]');
+      if (chip) {
+        view = chip.dataset.view;
+        render();
+      } else if (nav && !nav.disabled) {
+        const month = getRangeMonth(DateUtil.parse(Data.today()));
+        rangeMonth = new Date(month.getFullYear(), month.getMonth() + Number(nav.dataset.nav), 1);
+        render();
+      }
+    });
+
+    els.controls.addEventListener('change', (e) => {
+      if (e.target.id !== 'calendar-year-select') return;
+      rangeYear = e.target.value ? Number(e.target.value) : null;
+      render();
+    });
+  }
+
+  /**
+   * 연도 선택지: 기록이 있는 가장 이른 해 ~ 올해 (최근 연도 먼저)
+   */
+  function getYearOptions(log, todayDate) {
+    const thisYear  = todayDate.getFullYear();
+    const firstYear = Math.min(thisYear, ...Object.keys(log).map(d => Number(d.slice(0, 4))));
+    const years = [];
+    for (let y = thisYear; y >= firstYear; y--) years.push(y);
+    return years;
+  }
+
+  /**
+   * 기록이 있는 첫 달 1일 (기록이 없으면 이번 달)
+   */
+  function getFirstMonth(log, todayDate) {
+    const first = Object.keys(log).sort()[0];
+    const date  = first ? DateUtil.parse(first) : todayDate;
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+  }
+
+  function getRangeMonth(todayDate) {
+    return rangeMonth || new Date(todayDate.getFullYear(), todayDate.getMonth(), 1);
+  }
+
+  /**
+   * 현재 보기의 날짜 범위 (미래 날짜는 포함하지 않음)
+   * @returns {{ start: Date, end: Date }}
+   */
+  function getRange() {
+    const todayDate = DateUtil.parse(Data.today());
+    const clampEnd  = end => (end > todayDate ? todayDate : end);
+
+    if (view === 'month') {
+      const month = getRangeMonth(todayDate);
+      return {
+        start: month,
+        end:   clampEnd(new Date(month.getFullYear(), month.getMonth() + 1, 0)),
+      };
+    }
+    if (rangeYear !== null) {
+      return {
+        start: new Date(rangeYear, 0, 1),
+        end:   clampEnd(new Date(rangeYear, 11, 31)),
+      };
+    }
+    return { start: getGridStartDate(todayDate), end: todayDate };
+  }
+
+  // ── 요일 레이블 ───────────────────────────────────────
+
+  function renderWeekdays() {
+    if (!els.weekdays) return;
+    els.weekdays.innerHTML = WEEKDAY_LABELS
+      .map(label => `<span class="weekday-label">${label}</span>`)
+      .join('');
   }
 
   // ── 잔디 그리드 ───────────────────────────────────────
 
   /**
-   * 오늘 기준 52주(364일) + 오늘 포함한 그리드 생성
-   * 깃허브처럼 일요일 시작, 왼쪽이 과거 오른쪽이 현재
+   * 보기 범위의 셀 생성
+   * 연간: 깃허브처럼 일요일 시작 세로 7칸, 왼쪽이 과거 오른쪽이 현재
+   * 월간: 일요일 시작 7열 달력, 셀에 날짜와 학습 수 표시
+   * 오늘은 학습일 기준 (하루 시작 시각 전이면 어제 칸까지)
    */
-  function renderGrid(log, settings) {
+  function renderGrid(log, settings, streak) {
     if (!els.grid) return;
     els.grid.innerHTML = '';
+    els.wrap?.classList.toggle('is-month-view', view === 'month');
 
-    const today     = new Date();
-    const startDate = getGridStartDate(today);
-    const cells     = [];
+    const frozenDates = new Set(streak.frozenDates);
+    const todayStr    = Data.today();
+    const { start, end } = getRange();
     const monthLabels = [];
 
+    // 시작일 앞은 요일을 맞추는 빈 칸
+    for (let i = 0; i < start.getDay(); i++) {
+      const blank = document.createElement('div');
+      blank.className = 'calendar-blank';
+      els.grid.appendChild(blank);
+    }
+
     let prevMonth = -1;
     let colIndex  = 0;
 
-    const cursor = new Date(startDate);
-    while (cursor <= today) {
+    const cursor = new Date(start);
+    while (cursor <= end) {
       const dateStr = toDateString(cursor);
       const count   = (log[dateStr] || {}).count || 0;
-      const level   = getGrassLevel(count, settings);
+      const level   = getGrassLevel(log[dateStr], settings);
       const month   = cursor.getMonth();
 
-      // 월 레이블 추적 (새 월이 시작되는 열)
-      if (month !== prevMonth && cursor.getDay() === 0) {
+      // 월 레이블 추적 (새 월이 시작되는 열, 첫 열은 항상)
+      if (month !== prevMonth && (cursor.getDay() === 0 || cursor.getTime() === start.getTime())) {
         monthLabels.push({ col: colIndex, label: getMonthLabel(month) });
         prevMonth = month;
       }
 
       const cell = document.createElement('div');
       cell.className   = `calendar-cell grass-${level}`;
+      if (frozenDates.has(dateStr)) cell.classList.add('is-frozen');
+      if (dateStr === todayStr)     cell.classList.add('today');
       cell.dataset.date  = dateStr;
       cell.dataset.count = count;
-      cell.dataset.category = (log[dateStr] || {}).categoryId || '';
+      cell.tabIndex = -1;
+      cell.setAttribute('role', 'gridcell');
+      cell.setAttribute('aria-label',
+        `${formatDateLabel(dateStr)} ${count > 0 ? `${count}개 학습` : '학습 없음'}`);
+
+      if (view === 'month') {
+        cell.innerHTML = `
+          <span class="cell-day">${cursor.getDate()}</span>
+          ${count > 0 ? `<span class="cell-count">${count}</span>` : ''}
+        `;
+      }
 
-      cells.push(cell);
       els.grid.appendChild(cell);
 
-      // 일요일(0)마다 열 증가
+      // 토요일(6)마다 열 증가
       if (cursor.getDay() === 6) colIndex++;
       cursor.setDate(cursor.getDate() + 1);
     }
 
-    renderMonthLabels(monthLabels);
+    // 방향키 이동 시작점: 범위의 마지막 날 (보통 오늘)
+    const cells = els.grid.querySelectorAll('.calendar-cell');
+    if (cells.length > 0) cells[cells.length - 1].tabIndex = 0;
+
+    renderMonthLabels(view === 'year' ? monthLabels : []);
   }
 
   /**
-   * 그리드 시작일 계산
+   * 최근 1년 그리드 시작일
    * 오늘로부터 52주 전 일요일
    */
   function getGridStartDate(today) {
@@ -127,9 +326,17 @@ const Calendar = (() => {
 
   /**
    * 학습량에 따른 잔디 레벨 반환 (0-3)
+   * @param {object} entry - 그날 학습 기록 (없으면 undefined)
    */
-  function getGrassLevel(count, settings) {
+  function getGrassLevel(entry, settings) {
+    const count = entry?.count || 0;
     if (count <= 0)                          return 0;
+    if (settings.grassMode === 'goal') {
+      const goal = entry.goal ?? settings.dailyGoal;
+      if (!Data.isGoalMet(entry, settings))  return 1;
+      if (count < goal * 2)                  return 2;
+      return 3;
+    }
     if (count < settings.grassLevel2)        return 1;
     if (count < settings.grassLevel3)        return 2;
     return 3;
@@ -160,6 +367,9 @@ const Calendar = (() => {
 
   function renderLegend(settings) {
     if (!els.legend) return;
+    const detail = settings.grassMode === 'goal'
+      ? '목표 미달 / 목표 달성 / 목표 2배 이상'
+      : `${settings.grassLevel1}개 / ${settings.grassLevel2}개 / ${settings.grassLevel3}개 이상`;
     els.legend.innerHTML = `
       <span class="legend-label">적음</span>
       <div class="legend-cell grass-0"></div>
@@ -168,51 +378,48 @@ const Calendar = (() => {
       <div class="legend-cell grass-3"></div>
       <span class="legend-label">많음</span>
       <span class="legend-detail">
-        (${settings.grassLevel1}개 / ${settings.grassLevel2}개 / ${settings.grassLevel3}개 이상)
+        (${detail})
       </span>
     `;
   }
 
-  // ── 툴팁 ──────────────────────────────────────────────
+  // ── 툴팁 / 날짜 선택 ──────────────────────────────────
 
   function bindTooltip() {
     if (!els.grid || !els.tooltip) return;
+    if (els.grid.dataset.bound) return; // 탭을 다시 열어도 한 번만 연결
+    els.grid.dataset.bound = 'true';
 
-    els.grid.addEventListener('click', (e) => {
+    // 마우스를 올리면 툴팁
+    els.grid.addEventListener('mouseover', (e) => {
       const cell = e.target.closest('.calendar-cell');
-      if (!cell) {
-        hideTooltip();
-        return;
-      }
-      showTooltip(cell, e);
+      if (cell) showTooltip(cell, e);
     });
+    els.grid.addEventListener('mouseleave', hideTooltip);
 
-    // 그리드 바깥 클릭 시 툴팁 닫기
-    document.addEventListener('click', (e) => {
-      if (!els.grid.contains(e.target)) hideTooltip();
+    // 누르면 그날 상세
+    els.grid.addEventListener('click', (e) => {
+      const cell = e.target.closest('.calendar-cell');
+      if (!cell) return;
+      hideTooltip();
+      selectCell(cell);
     });
   }
 
   function showTooltip(cell, e) {
     const date     = cell.dataset.date;
     const count    = parseInt(cell.dataset.count, 10) || 0;
-    const catId    = cell.dataset.category;
-    const category = catId && catId !== 'all' && catId !== 'wrong'
-      ? Data.getCategoryById(catId)
-      : null;
 
     const dateLabel     = formatDateLabel(date);
     const countLabel    = count > 0 ? `${count}개 학습` : '학습 없음';
-    const categoryLabel = count > 0
-      ? (catId === 'all'   ? '전체 혼합' :
-         catId === 'wrong' ? '오답노트'  :
-         category          ? category.name : '')
-      : '';
+    const isFrozen      = cell.classList.contains('is-frozen');
+    const categoryLabel = count > 0 ? getDayCategoryLabel(Data.getStudyLog()[date]) : '';
 
     els.tooltip.innerHTML = `
       <span class="tooltip-date">${dateLabel}</span>
       <span class="tooltip-count">${countLabel}</span>
       ${categoryLabel ? `<span class="tooltip-category">${escapeHTML(categoryLabel)}</span>` : ''}
+      ${isFrozen ? '<span class="tooltip-category">❄️ 프리즈로 연속 유지</span>' : ''}
     `;
 
     // 툴팁 위치 (셀 기준)
@@ -227,10 +434,158 @@ const Calendar = (() => {
     if (els.tooltip) els.tooltip.classList.add('hidden');
   }
 
+  // ── 키보드 이동 ───────────────────────────────────────
+  // 포커스는 셀 하나만 tabIndex 0 (roving tabindex)
+  // 연간: 위/아래 = 하루, 왼쪽/오른쪽 = 1주 / 월간: 왼쪽/오른쪽 = 하루, 위/아래 = 1주
+
+  const KEY_STEPS = {
+    year:  { ArrowUp: -1, ArrowDown: 1, ArrowLeft: -7, ArrowRight: 7 },
+    month: { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 },
+  };
+
+  function bindKeyboard() {
+    if (!els.grid || els.grid.dataset.keyBound) return;
+    els.grid.dataset.keyBound = 'true';
+    els.grid.setAttribute('role', 'grid');
+    els.grid.setAttribute('aria-label', '학습 기록 캘린더 (방향키로 날짜 이동)');
+
+    els.grid.addEventListener('keydown', (e) => {
+      const cell = e.target.closest('.calendar-cell');
+      if (!cell) return;
+
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        selectCell(cell);
+        return;
+      }
+
+      const cells = [...els.grid.querySelectorAll('.calendar-cell')];
+      let target = null;
+      if (e.key === 'Home') target = cells[0];
+      if (e.key === 'End')  target = cells[cells.length - 1];
+      const step = KEY_STEPS[view][e.key];
+      if (step) target = els.grid.querySelector(`[data-date="${DateUtil.addDays(cell.dataset.date, step)}"]`);
+      if (!step && !target) return;
+
+      e.preventDefault();
+      if (target) focusCell(target);
+    });
+
+    // 키보드로 이동하면 툴팁도 함께
+    els.grid.addEventListener('focusin', (e) => {
+      const cell = e.target.closest('.calendar-cell');
+      if (cell) showTooltip(cell, e);
+    });
+    els.grid.addEventListener('focusout', hideTooltip);
+  }
+
+  function focusCell(cell) {
+    els.grid.querySelectorAll('.calendar-cell[tabindex="0"]')
+      .forEach(c => { c.tabIndex = -1; });
+    cell.tabIndex = 0;
+    cell.focus();
+  }
+
+  // ── 날짜 상세 ─────────────────────────────────────────
+
+  function selectCell(cell) {
+    els.grid.querySelectorAll('.calendar-cell.is-selected')
+      .forEach(c => c.classList.remove('is-selected'));
+    cell.classList.add('is-selected');
+    focusCell(cell);
+    renderDayDetail(cell.dataset.date, cell.classList.contains('is-frozen'));
+  }
+
+  /**
+   * 그날 학습한 세션 목록, 세션별 단어(틀린 단어 강조), 학습 시간
+   * 틀린 단어가 있으면 "다시 학습" 버튼 → 학습 탭에서 그 단어들로만 세션 시작
+   */
+  function renderDayDetail(dateStr, isFrozen) {
+    if (!els.detail) return;
+    const detail = Data.getDayDetail(dateStr);
+
+    const summary = detail.count > 0
+      ? `📝 ${detail.count}개 · ⏱ ${formatDuration(detail.timeMs)} · 세션 ${detail.sessions.length}개`
+      : '학습 없음';
+
+    const sessionsHTML = detail.sessions.map(s => `
+      <div class="day-session">
+        <div class="day-session-head">
+          <span class="day-session-time">${formatTime(s.startedAt)}</span>
+          <span class="day-session-title">
+            ${escapeHTML(getCategoryLabel(s.categoryId, s.selection))} · ${MODE_LABELS[s.mode] || MODE_LABELS.flip}
+          </span>
+          <span class="day-session-meta">${s.correct} / ${s.count} 정답 · ${formatDuration(s.timeMs)}</span>
+        </div>
+        <div class="day-session-words">
+          ${s.words.map(({ word, wrong }) => `
+            <span class="day-word${wrong ? ' is-wrong' : ''}" title="${escapeHTML(word.korean)}">
+              ${rubyHTML(word)}
+            </span>
+          `).join('')}
+        </div>
+      </div>
+    `).join('');
+
+    const wrongCount = detail.wrongWordIds.length;
+
+    els.detail.innerHTML = `
+      <div class="day-detail-header">
+        <span class="day-detail-date">${formatDateLabel(dateStr)}</span>
+        <button id="btn-day-detail-close" class="day-detail-close" title="닫기">✕</button>
+      </div>
+      <p class="day-detail-summary">
+        ${summary}
+        ${isFrozen ? '<span class="day-detail-frozen">❄️ 프리즈로 연속 유지</span>' : ''}
+      </p>
+      ${detail.sessions.length > 0
+        ? sessionsHTML
+        : '<p class="empty-msg">이 날은 학습 기록이 없습니다.</p>'}
+      ${wrongCount > 0
+        ? `<button id="btn-day-retry" class="btn btn--sakura btn--full">❌ 틀린 단어 ${wrongCount}개 다시 학습</button>`
+        : ''}
+    `;
+    els.detail.classList.remove('hidden');
+
+    document.getElementById('btn-day-detail-close').addEventListener('click', hideDayDetail);
+    document.getElementById('btn-day-retry')?.addEventListener('click', () => {
+      App.navigateTo('study', { categoryId: 'retry', wordIds: detail.wrongWordIds });
+    });
+  }
+
+  function hideDayDetail() {
+    if (!els.detail) return;
+    els.detail.classList.add('hidden');
+    els.grid?.querySelectorAll('.calendar-cell.is-selected')
+      .forEach(c => c.classList.remove('is-selected'));
+  }
+
+  /**
+   * 그날 학습한 대상 요약 (세션별 대상, 세션 기록이 없는 구버전 기록은 그날의 categoryId)
+   * 예) "식당 · 여행 동사 외 1"
+   */
+  function getDayCategoryLabel(entry) {
+    if (!entry) return '';
+    const labels = entry.sessions?.length
+      ? [...new Set(entry.sessions.map(s => getCategoryLabel(s.categoryId, s.selection)))]
+      : entry.categoryId ? [getCategoryLabel(entry.categoryId, entry.selection)] : [];
+    if (labels.length <= 2) return labels.join(' · ');
+    return `${labels.slice(0, 2).join(' · ')} 외 ${labels.length - 2}`;
+  }
+
+  function getCategoryLabel(categoryId, selection) {
+    if (categoryId === 'all')    return '전체 혼합';
+    if (categoryId === 'wrong')  return '오답노트';
+    if (categoryId === 'retry')  return '틀린 단어 다시 학습';
+    if (categoryId === 'custom') return Data.getSelectionLabel(selection);
+    if (!categoryId)            return '학습';
+    return Data.getCategoryById(categoryId)?.name || '삭제된 카테고리';
+  }
+
   // ── 유틸 ──────────────────────────────────────────────
 
   function toDateString(date) {
-    return date.toISOString().slice(0, 10);
+    return DateUtil.toDateString(date);
   }
 
   function formatDateLabel(dateStr) {
@@ -239,6 +594,31 @@ const Calendar = (() => {
     return `${year}년 ${parseInt(month, 10)}월 ${parseInt(day, 10)}일`;
   }
 
+  /**
+   * ms → "3분 12초" / "45초"
+   */
+  function formatDuration(ms) {
+    const totalSec = Math.round((ms || 0) / 1000);
+    const min = Math.floor(totalSec / 60);
+    const sec = totalSec % 60;
+    return min > 0 ? `${min}분 ${sec}초` : `${sec}초`;
+  }
+
+  /**
+   * ISO 시각 → 로컬 "HH:MM"
+   */
+  function formatTime(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  }
+
+  function rubyHTML(word) {
+    return word.furigana
+      ? `<ruby>${escapeHTML(word.japanese)}<rt>${escapeHTML(word.furigana)}</rt></ruby>`
+      : escapeHTML(word.japanese);
+  }
+
   function escapeHTML(str) {
     return String(str)
       .replace(/&/g, '&amp;')
@@ -1,27 +1,48 @@
 /**
  * card.js
  * 카드 플립 UI 렌더링 및 이벤트 처리 모듈
- * quiz.js에 의존한다.
+ * quiz.js, kana.js, speech.js에 의존한다.
  *
  * ── 화면 구조 ────────────────────────────────────────────
  *
  * #study-tab
  *   .study-header
  *     .progress-text        <- "3 / 10"
+ *     #study-goal           <- 오늘 목표 진행 "🎯 12 / 20" (모든 세션 합계)
  *     .progress-bar
  *       .progress-fill
  *   .card-container
  *     .card                 <- 클릭/터치 시 플립
  *       .card-front
- *         .card-japanese    <- <ruby> 태그로 후리가나 표시
+ *         .card-japanese    <- <ruby> 태그로 후리가나 표시 (ko-jp 방향: 한글 뜻)
  *         .card-category    <- 카테고리 이름
+ *         #btn-speak        <- 발음 듣기 (앞면이 일본어일 때만)
+ *         #btn-listen       <- 듣기 모드: 앞면에는 이 재생 버튼만 표시
  *       .card-back
- *         .card-korean      <- 한글 뜻
+ *         .card-korean      <- 한글 뜻 (ko-jp 방향: 일본어 정답)
+ *         #card-details     <- 품사 · 예문 · 메모 · 태그 (있을 때만)
+ *         #btn-speak-back   <- 발음 듣기
+ *   #typing-area            <- 타이핑 모드에서만 표시
+ *     #typing-form
+ *       #typing-input       <- 로마자 / 가나 입력
+ *       #typing-preview     <- 로마자 → 히라가나 미리보기
+ *       #btn-typing-skip    <- 모르겠어요 (오답 처리)
+ *       #btn-typing-submit  <- 확인
+ *     #typing-feedback      <- 정답 / 오답 표시
+ *     #btn-typing-next      <- 다음 카드로
+ *   #choice-area            <- 객관식 모드에서만 표시
+ *     #choice-list          <- 보기 버튼 4개
+ *     #btn-choice-next      <- 다음 카드로
  *   .answer-buttons         <- 카드 뒤집힌 후 활성화
- *     button.btn-wrong      <- ❌ 틀림
- *     button.btn-correct    <- ✅ 맞음
+ *     button.btn-grade[data-grade="again"] <- ❌ 다시
+ *     button.btn-grade[data-grade="hard"]  <- 🤔 어려움
+ *     button.btn-grade[data-grade="good"]  <- ✅ 알맞음
+ *     button.btn-grade[data-grade="easy"]  <- ⚡ 쉬움
+ *       .btn-answer-interval                <- 다음 복습까지 남은 일수
  *   .study-result           <- 학습 완료 시 표시 (평소엔 숨김)
  *     .result-score
+ *     #result-grades        <- 등급별 개수
+ *     #result-goal          <- 오늘 목표까지 남은 단어 수 / 달성 여부
  *     .result-wrong-list
  *     button.btn-retry
  *     button.btn-home
@@ -29,29 +50,71 @@
 
 const Card = (() => {
 
+  // ── 등급 표시 정보 ────────────────────────────────────
+
+  const GRADE_LABELS = {
+    again: { icon: '❌', label: '다시' },
+    hard:  { icon: '🤔', label: '어려움' },
+    good:  { icon: '✅', label: '알맞음' },
+    easy:  { icon: '⚡', label: '쉬움' },
+  };
+
+  // 카드 앞면 하단 안내 문구 (학습 방식별)
+  const FRONT_HINTS = {
+    flip:   '터치하여 뒤집기',
+    typing: '일본어로 입력하세요',
+    choice: '알맞은 답을 고르세요',
+    listening: '듣고 뜻을 떠올린 뒤 터치',
+  };
+
   // ── DOM 참조 ──────────────────────────────────────────
 
   let els = {};
+  let eventsBound = false;
+
+  // 타이핑 / 객관식: 제출 후 "다음" 버튼을 누를 때까지 보관하는 진행 정보
+  let pendingNext = null;
+
+  // 지금 카드에 그려진 단어 (답한 뒤 Quiz가 다음 단어로 넘어가도 발음 재생에 사용)
+  let cardWord = null;
 
   function initElements() {
     els = {
       studyTab:      document.getElementById('study-tab'),
       progressText:  document.getElementById('progress-text'),
       progressFill:  document.getElementById('progress-fill'),
+      studyGoal:     document.getElementById('study-goal'),
       card:          document.getElementById('study-card'),
       cardFront:     document.getElementById('card-front'),
       cardBack:      document.getElementById('card-back'),
+      cardDetails:   document.getElementById('card-details'),
       cardJapanese:  document.getElementById('card-japanese'),
       cardCategory:  document.getElementById('card-category'),
       cardKorean:    document.getElementById('card-korean'),
+      btnSpeak:      document.getElementById('btn-speak'),
+      btnSpeakBack:  document.getElementById('btn-speak-back'),
+      btnListen:     document.getElementById('btn-listen'),
       answerButtons: document.getElementById('answer-buttons'),
-      btnCorrect:    document.getElementById('btn-correct'),
-      btnWrong:      document.getElementById('btn-wrong'),
+      typingArea:     document.getElementById('typing-area'),
+      typingForm:     document.getElementById('typing-form'),
+      typingInput:    document.getElementById('typing-input'),
+      typingPreview:  document.getElementById('typing-preview'),
+      typingFeedback: document.getElementById('typing-feedback'),
+      btnTypingSkip:  document.getElementById('btn-typing-skip'),
+      btnTypingNext:  document.getElementById('btn-typing-next'),
+      choiceArea:     document.getElementById('choice-area'),
+      choiceList:     document.getElementById('choice-list'),
+      btnChoiceNext:  document.getElementById('btn-choice-next'),
+      gradeButtons:  document.querySelectorAll('#answer-buttons [data-grade]'),
       studyResult:   document.getElementById('study-result'),
       resultScore:   document.getElementById('result-score'),
+      resultGrades:  document.getElementById('result-grades'),
+      resultGoal:    document.getElementById('result-goal'),
       resultWrongList: document.getElementById('result-wrong-list'),
       btnRetry:      document.getElementById('btn-retry'),
       btnHome:       document.getElementById('btn-home'),
+      btnUndo:       document.getElementById('btn-undo'),
+      btnResultUndo: document.getElementById('btn-result-undo'),
     };
   }
 
@@ -59,12 +122,44 @@ const Card = (() => {
 
   /**
    * 학습 탭 진입 시 호출
-   * @param {string} categoryId - 'all' | 'wrong' | 카테고리 ID
+   * @param {string} categoryId - 'all' | 'wrong' | 'retry' | 'custom' | 카테고리 ID
+   * @param {string} mode       - 'flip' | 'typing' | 'choice' (생략 시 설정값)
+   * @param {string} direction  - 'jp-ko' | 'ko-jp' | 'mixed' (생략 시 설정값)
+   * @param {object} source
+   * @param {string[]} source.wordIds  - 이 단어들로만 학습 (생략 시 하루 단어 선택)
+   * @param {object}   source.selection - 맞춤 학습 선택 조건 (categoryId 'custom')
+   */
+  function startStudy(categoryId, mode, direction, { wordIds, selection } = {}) {
+    initElements();
+
+    if ((mode || Storage.getSettings().studyMode) === 'listening' && !Speech.isSupported()) {
+      showError('이 브라우저는 음성 재생을 지원하지 않아 듣기 모드를 사용할 수 없습니다.');
+      return;
+    }
+
+    const result = Quiz.startSession(categoryId, { mode, direction, wordIds, selection });
+    if (!result.ok) {
+      showError(result.error);
+      return;
+    }
+
+    showStudyView();
+    renderCard();
+    bindEvents();
+  }
+
+  /**
+   * 저장된 세션 이어서 학습 (홈의 "이어서 학습하기")
    */
-  function startStudy(categoryId) {
+  function resumeStudy() {
     initElements();
 
-    const result = Quiz.startSession(categoryId);
+    if (Quiz.getSavedSession()?.mode === 'listening' && !Speech.isSupported()) {
+      showError('이 브라우저는 음성 재생을 지원하지 않아 듣기 모드를 사용할 수 없습니다.');
+      return;
+    }
+
+    const result = Quiz.resumeSession();
     if (!result.ok) {
       showError(result.error);
       return;
@@ -82,22 +177,185 @@ const Card = (() => {
     const word = Quiz.currentWord();
     if (!word) return;
 
-    // 후리가나 있으면 <ruby> 태그, 없으면 그냥 텍스트
-    els.cardJapanese.innerHTML = word.furigana
-      ? `<ruby>${escapeHTML(word.japanese)}<rt>${escapeHTML(word.furigana)}</rt></ruby>`
-      : escapeHTML(word.japanese);
+    const session   = Quiz.getSession();
+    const choices   = Quiz.currentChoices();
+    const direction = Quiz.currentDirection();
+    const isTyping  = session.mode === 'typing';
+    const isListening = session.mode === 'listening';
+    // 뜻 → 일본어 (타이핑은 항상): 앞면에 한글 뜻, 뒷면에 일본어 정답
+    const koreanFront = direction === 'ko-jp';
+
+    els.card.dataset.mode      = session.mode;
+    els.card.dataset.front     = isListening ? 'audio' : (koreanFront ? 'korean' : 'japanese');
+    els.cardFront.dataset.hint = FRONT_HINTS[session.mode];
+    cardWord = word;
+
+    // 발음 버튼: 앞면이 한글 뜻이면 정답이 들리므로 뒷면에만
+    // 듣기 모드는 앞면에 큰 재생 버튼(#btn-listen)만 보여준다
+    const canSpeak = Speech.isSupported();
+    els.btnSpeak.classList.toggle('hidden', !canSpeak || koreanFront || isListening);
+    els.btnSpeakBack.classList.toggle('hidden', !canSpeak);
+    els.btnListen.classList.toggle('hidden', !isListening);
+
+    if (isListening) {
+      // 듣기: 앞면은 비우고, 뒷면에 일본어 + 뜻
+      els.cardJapanese.innerHTML = '';
+      els.cardKorean.innerHTML   = `
+        <span class="card-back-japanese">${rubyHTML(word)}</span>
+        <span class="card-back-meaning">${escapeHTML(word.korean)}</span>
+      `;
+      els.cardBack.dataset.label = '정답';
+    } else if (koreanFront) {
+      els.cardJapanese.textContent = word.korean;
+      els.cardKorean.innerHTML     = rubyHTML(word);
+      els.cardBack.dataset.label   = '정답';
+    } else {
+      els.cardJapanese.innerHTML   = rubyHTML(word);
+      els.cardKorean.textContent   = word.korean;
+      els.cardBack.dataset.label   = '뜻';
+    }
 
-    els.cardKorean.textContent = word.korean;
+    renderCardDetails(word);
 
-    // 카테고리 이름 표시
+    // 카테고리 이름 표시 (듣기 모드는 힌트가 되므로 숨김)
     const category = Data.getCategoryById(word.categoryId);
-    els.cardCategory.textContent = category ? category.name : '';
+    els.cardCategory.textContent = category && !isListening ? category.name : '';
 
     // 카드 앞면으로 초기화
     els.card.classList.remove('flipped');
     setAnswerButtonsVisible(false);
+    renderGradeIntervals(Data.getProgress(word, direction));
+    pendingNext = null;
+    resetTypingArea(isTyping);
+    renderChoices(choices);
 
     updateProgress();
+    Quiz.markCardShown();
+    autoSpeak('show');
+  }
+
+  /**
+   * 발음 자동 재생 (설정 ttsAutoPlay)
+   * - show : 일본어가 보이는 순간 (앞면이 일본어면 카드 표시 시, 아니면 뒤집을 때)
+   * - flip : 카드를 뒤집을 때 (정답 공개 시)
+   * 자동 재생 실패(음성 없음 등)는 조용히 무시한다.
+   * 듣기 모드는 설정과 관계없이 카드 표시 시 재생하고, 실패하면 알린다.
+   * (뒤집을 때 다시 읽는 것은 flip 설정일 때만)
+   * @param {string} trigger - 'show' | 'flip'
+   */
+  function autoSpeak(trigger) {
+    if (!cardWord) return;
+    const setting = Storage.getSettings().ttsAutoPlay;
+
+    if (els.card.dataset.front === 'audio') {
+      if (trigger === 'show') {
+        const result = Speech.speakWord(cardWord);
+        if (!result.ok) App.showToast(result.error, 'warning');
+      } else if (setting === 'flip') {
+        Speech.speakWord(cardWord);
+      }
+      return;
+    }
+
+    if (setting === 'off') return;
+
+    const japaneseFront = els.card.dataset.front === 'japanese';
+    const shouldSpeak = trigger === 'show'
+      ? setting === 'show' && japaneseFront
+      : setting === 'flip' || (setting === 'show' && !japaneseFront);
+
+    if (shouldSpeak) Speech.speakWord(cardWord);
+  }
+
+  /**
+   * 발음 버튼 클릭 → 재생, 실패하면 이유를 토스트로 안내
+   */
+  function handleSpeak(e) {
+    e.stopPropagation(); // 카드 플립 방지
+    const result = Speech.speakWord(cardWord);
+    if (!result.ok) App.showToast(result.error, 'warning');
+  }
+
+  /**
+   * 등급 버튼마다 다음 복습 간격 표시 (예: "6일")
+   * @param {object} progress - 현재 카드 방향의 진행 상황
+   */
+  function renderGradeIntervals(progress) {
+    const intervals = SRS.previewIntervals(progress, Data.today());
+    els.gradeButtons.forEach(btn => {
+      const intervalEl = btn.querySelector('.btn-answer-interval');
+      if (intervalEl) intervalEl.textContent = `${intervals[btn.dataset.grade]}일`;
+    });
+  }
+
+  /**
+   * 타이핑 입력 영역 초기화
+   */
+  function resetTypingArea(visible) {
+    els.typingArea.classList.toggle('hidden', !visible);
+    if (!visible) return;
+
+    els.typingForm.classList.remove('hidden');
+    els.typingFeedback.classList.add('hidden');
+    els.btnTypingNext.classList.add('hidden');
+    els.typingInput.value = '';
+    els.typingPreview.textContent = '';
+    els.typingInput.focus();
+  }
+
+  /**
+   * 타이핑 결과 표시 (카드를 뒤집어 정답 공개)
+   */
+  function renderTypingFeedback(result, input) {
+    els.card.classList.add('flipped');
+    autoSpeak('flip');
+    els.typingForm.classList.add('hidden');
+
+    const answerText = result.word.furigana
+      ? `${result.word.japanese} (${result.word.furigana})`
+      : result.word.japanese;
+
+    els.typingFeedback.className = `typing-feedback typing-feedback--${result.correct ? 'correct' : 'wrong'}`;
+    els.typingFeedback.innerHTML = result.correct
+      ? `<strong>⭕ 정답!</strong> ${escapeHTML(answerText)}`
+      : `<strong>❌ 오답</strong>
+         ${input ? `<span class="typing-your-answer">입력: ${escapeHTML(input)}</span>` : ''}
+         <span class="typing-answer">정답: ${escapeHTML(answerText)}</span>`;
+
+    els.btnTypingNext.classList.remove('hidden');
+    els.btnTypingNext.focus();
+  }
+
+  /**
+   * 객관식 보기 렌더링 (객관식 모드가 아니면 숨김)
+   */
+  function renderChoices(choices) {
+    els.choiceArea.classList.toggle('hidden', !choices);
+    if (!choices) return;
+
+    els.btnChoiceNext.classList.add('hidden');
+    els.choiceList.innerHTML = choices.options.map(option => `
+      <button class="choice-option" data-word-id="${option.id}">
+        ${choices.direction === 'ko-jp' ? rubyHTML(option) : escapeHTML(option.korean)}
+      </button>
+    `).join('');
+  }
+
+  /**
+   * 객관식 결과 표시 (정답 / 선택한 오답 강조, 카드 뒤집기)
+   */
+  function renderChoiceFeedback(result, selectedId) {
+    els.card.classList.add('flipped');
+    autoSpeak('flip');
+
+    els.choiceList.querySelectorAll('.choice-option').forEach(btn => {
+      btn.disabled = true;
+      if (btn.dataset.wordId === result.word.id) btn.classList.add('is-correct');
+      else if (btn.dataset.wordId === selectedId) btn.classList.add('is-wrong');
+    });
+
+    els.btnChoiceNext.classList.remove('hidden');
+    els.btnChoiceNext.focus();
   }
 
   /**
@@ -107,6 +365,36 @@ const Card = (() => {
     const { current, total, percent } = Quiz.getProgress();
     els.progressText.textContent = `${current} / ${total}`;
     els.progressFill.style.width = `${percent}%`;
+    updateGoal();
+    updateUndoButtons();
+  }
+
+  /**
+   * 오늘 목표 진행 표시 (학습 화면 상단)
+   */
+  function updateGoal() {
+    const goal = Data.getTodayGoalProgress();
+    els.studyGoal.textContent = `🎯 ${goal.count} / ${goal.goal}`;
+    els.studyGoal.classList.toggle('is-met', goal.met);
+  }
+
+  /**
+   * 이번 답으로 오늘 목표를 채웠으면 축하 토스트
+   * @param {boolean} wasMet - 답하기 전 목표 달성 여부
+   */
+  function celebrateGoal(wasMet) {
+    updateGoal();
+    const goal = Data.getTodayGoalProgress();
+    if (!wasMet && goal.met) App.showToast(`🎉 오늘 목표 ${goal.goal}개 달성!`, 'success');
+  }
+
+  /**
+   * 되돌리기 버튼 활성화 (되돌릴 답이 있을 때만)
+   */
+  function updateUndoButtons() {
+    const canUndo = Quiz.canUndo();
+    els.btnUndo.disabled = !canUndo;
+    els.btnResultUndo.classList.toggle('hidden', !canUndo);
   }
 
   /**
@@ -123,6 +411,26 @@ const Card = (() => {
       <span class="result-total">${result.total}개</span>
     `;
 
+    // 등급별 개수
+    els.resultGrades.innerHTML = SRS.GRADES.map(g => `
+      <span class="result-grade result-grade--${g}">
+        ${GRADE_LABELS[g].icon} ${GRADE_LABELS[g].label}
+        <strong>${result.grades[g]}</strong>
+      </span>
+    `).join('');
+
+    // 오늘 목표 (이번 세션 포함 오늘 전체)
+    const goal = Data.getTodayGoalProgress();
+    els.resultGoal.classList.toggle('is-met', goal.met);
+    els.resultGoal.innerHTML = `
+      <p class="result-goal-text">
+        ${goal.met
+          ? `🎉 오늘 목표 ${goal.goal}개 달성! (오늘 ${goal.count}개 학습)`
+          : `🎯 오늘 목표까지 <strong>${goal.remaining}개</strong> 남았어요 (${goal.count} / ${goal.goal})`}
+      </p>
+      <div class="result-goal-bar"><div class="result-goal-fill" style="width:${goal.percent}%"></div></div>
+    `;
+
     // 틀린 단어 목록
     if (result.wrongWords.length > 0) {
       els.resultWrongList.innerHTML = `
@@ -144,29 +452,69 @@ const Card = (() => {
       els.resultWrongList.innerHTML = '<p class="result-perfect">🎉 전부 맞혔어요!</p>';
     }
 
+    updateUndoButtons();
     showResultView();
   }
 
   // ── 이벤트 바인딩 ─────────────────────────────────────
 
+  /**
+   * 학습 화면 이벤트는 최초 1회만 바인딩
+   * (다시 풀기로 startStudy가 재호출돼도 중복 등록되지 않도록)
+   */
   function bindEvents() {
+    if (eventsBound) return;
+    eventsBound = true;
+
     // 카드 클릭/터치 → 플립
     els.card.addEventListener('click', handleCardFlip);
 
-    // 맞음 버튼
-    els.btnCorrect.addEventListener('click', handleCorrect);
+    // 발음 듣기 (앞면 / 뒷면)
+    els.btnSpeak.addEventListener('click', handleSpeak);
+    els.btnSpeakBack.addEventListener('click', handleSpeak);
+    els.btnListen.addEventListener('click', handleSpeak);
 
-    // 틀림 버튼
-    els.btnWrong.addEventListener('click', handleWrong);
+    // 타이핑 모드: 입력 미리보기 / 제출 / 모르겠어요 / 다음
+    els.typingInput.addEventListener('input', () => {
+      const value = els.typingInput.value;
+      els.typingPreview.textContent = /[a-z]/i.test(value) ? Kana.toHiragana(value, false) : '';
+    });
+    els.typingForm.addEventListener('submit', e => {
+      e.preventDefault();
+      handleTypingSubmit(els.typingInput.value.trim());
+    });
+    els.btnTypingSkip.addEventListener('click', () => handleTypingSubmit(''));
+    els.btnTypingNext.addEventListener('click', handlePendingNext);
+
+    // 객관식: 보기 선택 / 다음
+    els.choiceList.addEventListener('click', e => {
+      const option = e.target.closest('.choice-option');
+      if (option && !option.disabled) handleChoiceSelect(option.dataset.wordId);
+    });
+    els.btnChoiceNext.addEventListener('click', handlePendingNext);
+
+    // 등급 버튼 (다시 / 어려움 / 알맞음 / 쉬움)
+    els.gradeButtons.forEach(btn => {
+      btn.addEventListener('click', () => handleAnswer(btn.dataset.grade));
+    });
+
+    // 되돌리기 (학습 중 / 결과 화면)
+    els.btnUndo.addEventListener('click', handleUndo);
+    els.btnResultUndo.addEventListener('click', handleUndo);
 
     // 다시 풀기
     els.btnRetry.addEventListener('click', () => {
       const session = Quiz.getSession();
-      if (session) startStudy(session.categoryId);
+      if (!session) return;
+      startStudy(session.categoryId, session.mode, session.direction, {
+        wordIds:   session.sourceWordIds,
+        selection: session.selection,
+      });
     });
 
     // 홈으로
     els.btnHome.addEventListener('click', () => {
+      Speech.stop();
       Quiz.clearSession();
       App.navigateTo('home');
     });
@@ -174,15 +522,20 @@ const Card = (() => {
 
   function handleCardFlip() {
     if (Quiz.isFlipped()) return; // 이미 뒤집혀 있으면 무시
+    // 타이핑 / 객관식은 답해야 정답 공개
+    if (!['flip', 'listening'].includes(Quiz.getSession()?.mode)) return;
 
     Quiz.flipCard();
     els.card.classList.add('flipped');
     setAnswerButtonsVisible(true);
+    autoSpeak('flip');
   }
 
-  function handleCorrect() {
-    const next = Quiz.answerCorrect();
+  function handleAnswer(grade) {
+    const wasMet = Data.getTodayGoalProgress().met;
+    const next = Quiz.answer(grade);
     if (!next) return;
+    celebrateGoal(wasMet);
     if (next.done) {
       renderResult();
     } else {
@@ -190,9 +543,61 @@ const Card = (() => {
     }
   }
 
-  function handleWrong() {
-    const next = Quiz.answerWrong();
+  function handleTypingSubmit(input) {
+    if (pendingNext) return; // 이미 제출한 카드
+
+    const wasMet = Data.getTodayGoalProgress().met;
+    const result = Quiz.submitTyping(input);
+    if (!result) return;
+    celebrateGoal(wasMet);
+
+    pendingNext = result.next;
+    renderTypingFeedback(result, input);
+    updateUndoButtons();
+  }
+
+  function handleChoiceSelect(wordId) {
+    if (pendingNext) return; // 이미 답한 카드
+
+    const wasMet = Data.getTodayGoalProgress().met;
+    const result = Quiz.submitChoice(wordId);
+    if (!result) return;
+    celebrateGoal(wasMet);
+
+    pendingNext = result.next;
+    renderChoiceFeedback(result, wordId);
+    updateUndoButtons();
+  }
+
+  /**
+   * 마지막 답 되돌리기 → 이전 카드를 다시 보여줌
+   */
+  function handleUndo() {
+    const result = Quiz.undo();
+    if (!result.ok) {
+      App.showToast(result.error, 'warning');
+      return;
+    }
+
+    Speech.stop();
+    showStudyView();
+    if (els.card.classList.contains('flipped')) {
+      nextCardWithTransition();
+    } else {
+      renderCard();
+    }
+  }
+
+  /**
+   * 타이핑 / 객관식 결과 확인 후 "다음" 버튼
+   */
+  function handlePendingNext() {
+    const next = pendingNext;
     if (!next) return;
+
+    els.btnTypingNext.classList.add('hidden');
+    els.typingFeedback.classList.add('hidden');
+    els.btnChoiceNext.classList.add('hidden');
     if (next.done) {
       renderResult();
     } else {
@@ -230,6 +635,8 @@ const Card = (() => {
   function showResultView() {
     els.card.classList.add('hidden');
     els.answerButtons.classList.add('hidden');
+    els.typingArea.classList.add('hidden');
+    els.choiceArea.classList.add('hidden');
     els.progressText.closest('.study-header').classList.add('hidden');
     els.studyResult.classList.remove('hidden');
   }
@@ -237,9 +644,13 @@ const Card = (() => {
   function showError(message) {
     els.studyResult.classList.remove('hidden');
     els.resultScore.textContent = '';
+    els.resultGrades.innerHTML  = '';
     els.resultWrongList.innerHTML = `<p class="error-message">${escapeHTML(message)}</p>`;
     els.card.classList.add('hidden');
     els.answerButtons.classList.add('hidden');
+    els.typingArea.classList.add('hidden');
+    els.choiceArea.classList.add('hidden');
+    els.btnResultUndo.classList.add('hidden');
   }
 
   function setAnswerButtonsVisible(visible) {
@@ -250,8 +661,46 @@ const Card = (() => {
     }
   }
 
+  /**
+   * 뒷면 부가 정보 (품사 · 예문 · 메모 · 태그)
+   * 뒷면에만 두므로 어느 방향이든 정답 힌트가 되지 않는다
+   */
+  function renderCardDetails(word) {
+    const { partOfSpeech, examples, notes, tags } = Data.getWordDetails(word);
+    const hasDetails = Data.hasWordDetails(word);
+    els.cardDetails.classList.toggle('hidden', !hasDetails);
+    els.cardBack.classList.toggle('has-details', hasDetails);
+    if (!hasDetails) {
+      els.cardDetails.innerHTML = '';
+      return;
+    }
+
+    els.cardDetails.innerHTML = `
+      ${partOfSpeech ? `<span class="card-pos">${escapeHTML(partOfSpeech)}</span>` : ''}
+      ${examples.map(ex => `
+        <p class="card-example">
+          <span class="card-example-japanese" lang="ja">${escapeHTML(ex.japanese)}</span>
+          ${ex.korean ? `<span class="card-example-korean">${escapeHTML(ex.korean)}</span>` : ''}
+        </p>
+      `).join('')}
+      ${notes ? `<p class="card-notes">${escapeHTML(notes)}</p>` : ''}
+      ${tags.length > 0
+        ? `<p class="card-tags">${tags.map(t => `<span class="card-tag">#${escapeHTML(t)}</span>`).join('')}</p>`
+        : ''}
+    `;
+  }
+
   // ── 유틸 ──────────────────────────────────────────────
 
+  /**
+   * 후리가나 있으면 <ruby> 태그, 없으면 그냥 텍스트
+   */
+  function rubyHTML(word) {
+    return word.furigana
+      ? `<ruby>${escapeHTML(word.japanese)}<rt>${escapeHTML(word.furigana)}</rt></ruby>`
+      : escapeHTML(word.japanese);
+  }
+
   function escapeHTML(str) {
     return String(str)
       .replace(/&/g, '&amp;')
@@ -264,6 +713,7 @@ const Card = (() => {
 
   return {
     startStudy,
+    resumeStudy,
     renderCard,
   };
 
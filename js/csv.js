@@ -23,11 +23,25 @@
  *
  * ── 작성 규칙 ────────────────────────────────────────────
  *
- * 1. 첫 번째 행은 반드시 헤더: 일본어,후리가나,한글뜻,카테고리
+ * 1. 첫 번째 행은 헤더: 일본어,후리가나,한글뜻,카테고리
+ *    - 영문(Japanese,Reading,Meaning,Category 등) / 다른 열 순서 / 헤더 없는 파일은
+ *      가져오기 전 미리 보기에서 열 매핑을 맞춤 (FIELDS의 열 이름 후보로 먼저 추측)
+ *    - 카테고리 열이 없으면 미리 보기에서 기본 카테고리를 고름
  * 2. 후리가나가 없는 경우 빈 칸으로 두면 됨 (예: メニュー,,메뉴,식당)
  * 3. 카테고리가 존재하지 않으면 자동으로 새 카테고리 생성
  * 4. 쉼표가 포함된 값은 쌍따옴표로 감쌀 것 (예: "네, 알겠습니다")
+ *    - 따옴표 안에서는 줄바꿈도 그대로 유지, 쌍따옴표는 "" 로 씀 (RFC 4180)
  * 5. 파일 인코딩은 UTF-8 권장 (엑셀 저장 시 'CSV UTF-8'로 저장)
+ *    - 엑셀 기본 저장(Shift_JIS / EUC-KR)도 자동으로 알아봄, 미리 보기에서 바꿀 수 있음
+ *    - 맨 앞 BOM은 무시
+ * 6. 구분자는 쉼표 / 탭(TSV) / 세미콜론 중 첫 행에 가장 많은 것 (.csv / .tsv / .txt)
+ * 7. 부가 정보 열은 선택: 품사, 예문, 메모, 태그 (헤더에 있을 때만 읽음)
+ *    - 예문 : 일본어=한국어, 여러 개는 | 로 구분 (예: ご飯を食べる=밥을 먹다|水を飲む=물을 마시다)
+ *    - 태그 : | 또는 쉼표로 구분 (예: N5|여행)
+ *    - 메모 : 줄바꿈이 있으면 쌍따옴표로 감쌀 것
+ *
+ * 일본어,후리가나,한글뜻,카테고리,품사,예문,메모,태그
+ * 食べる,たべる,먹다,식당,동사,ご飯を食べる=밥을 먹다,,N5|기본
  *
  * ── JSON 백업 형식 예시 ──────────────────────────────────
  *
@@ -39,6 +53,10 @@
  *       "furigana": "たべる",
  *       "korean": "먹다",
  *       "categoryId": "cat-001",
+ *       "partOfSpeech": "동사",
+ *       "examples": [{ "japanese": "ご飯を食べる", "korean": "밥을 먹다" }],
+ *       "notes": "",
+ *       "tags": ["N5"],
  *       "wrongCount": 2,
  *       "correctStreak": 0,
  *       "createdAt": "2024-03-01"
@@ -56,6 +74,20 @@
  *     "2024-03-01": { "count": 10, "categoryId": "cat-001" },
  *     "2024-03-02": { "count": 25, "categoryId": "all" }
  *   },
+ *   "reviewLog": [
+ *     {
+ *       "id": "evt-001",
+ *       "wordId": "abc-123",
+ *       "timestamp": "2024-03-02T09:15:30.000Z",
+ *       "date": "2024-03-02",
+ *       "correct": false,
+ *       "grade": "again",
+ *       "responseMs": 4200,
+ *       "sessionId": "session-001",
+ *       "mode": "flip",
+ *       "direction": "jp-ko"
+ *     }
+ *   ],
  *   "settings": {
  *     "dailyGoal": 10,
  *     "grassLevel1": 10,
@@ -69,122 +101,404 @@
 
 const CSV = (() => {
 
-  // ── CSV 파싱 ──────────────────────────────────────────
+  // ── CSV 파싱 (RFC 4180) ───────────────────────────────
+  //
+  // 글자 단위 상태 기계라 조각(chunk)으로 나눠 넣어도 결과가 같다.
+  // - 쌍따옴표로 감싼 필드 안의 구분자 / 줄바꿈 / "" (쌍따옴표 하나) 그대로 유지
+  // - 줄바꿈은 CRLF / LF / CR 모두 허용
+  // - 필드 값은 자르지 않음 (앞뒤 공백 정리는 열 매핑 단계에서)
+  // - 규칙에 어긋난 따옴표(따옴표 없는 필드 중간, 닫는 따옴표 뒤 글자)는 글자로 취급
+
+  const DELIMITERS = [',', '\t', ';'];
+
+  const ENCODINGS = [
+    { value: 'utf-8',     label: 'UTF-8' },
+    { value: 'shift_jis', label: 'Shift_JIS (일본어 엑셀)' },
+    { value: 'euc-kr',    label: 'EUC-KR (한국어 엑셀)' },
+  ];
+
+  // 파일을 나눠 디코딩 / 파싱하는 크기
+  const CHUNK_SIZE = 64 * 1024;
 
   /**
-   * CSV 문자열을 행 배열로 파싱
-   * 쌍따옴표로 감싼 필드, 쉼표 포함 필드 처리
+   * 조각 단위 CSV 파서
+   * lines 에는 행마다 파일에서 시작하는 줄 번호(1부터)를 모은다 (따옴표 안 줄바꿈 때문에 행 번호와 다를 수 있음).
+   * @param {string} delimiter - ',' | '\t' | ';'
+   * @returns {{ push: (text: string) => void, end: () => string[][], lines: number[] }}
    */
-  function parseCSVString(text) {
-    const lines = text.trim().split(/\r?\n/);
-    return lines.map(line => {
-      const fields = [];
-      let current = '';
-      let inQuotes = false;
-
-      for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        if (char === '"') {
-          if (inQuotes && line[i + 1] === '"') {
-            current += '"';
-            i++;
-          } else {
-            inQuotes = !inQuotes;
-          }
-        } else if (char === ',' && !inQuotes) {
-          fields.push(current.trim());
-          current = '';
+  function createParser(delimiter = ',') {
+    const rows  = [];
+    const lines = [];
+    let fields  = [];
+    let current = '';
+    let state   = 'start';  // start: 필드 시작 | plain: 따옴표 없는 필드 | quoted: 따옴표 안 | quote: 따옴표 안에서 " 를 만남
+    let skipLF  = false;    // CR 바로 뒤의 LF는 같은 줄바꿈
+    let started = false;    // 맨 앞 BOM 확인 여부
+    let line    = 1;        // 지금 읽는 줄 번호
+    let rowLine = 1;        // 지금 행이 시작한 줄 번호
+    let lastCR  = false;    // 바로 앞 글자가 CR (CRLF는 한 줄로 셈)
+
+    function endField() {
+      fields.push(current);
+      current = '';
+      state   = 'start';
+    }
+
+    function endRow() {
+      endField();
+      rows.push(fields);
+      lines.push(rowLine);
+      fields  = [];
+      rowLine = line;
+    }
+
+    function push(text) {
+      let i = 0;
+      if (!started) {
+        started = true;
+        if (text.charCodeAt(0) === 0xFEFF) i = 1;
+      }
+
+      for (; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\r' || (char === '\n' && !lastCR)) line++;
+        lastCR = char === '\r';
+
+        if (skipLF) {
+          skipLF = false;
+          if (char === '\n') continue;
+        }
+
+        if (state === 'quoted') {
+          if (char === '"') state = 'quote';
+          else current += char;
+          continue;
+        }
+
+        if (state === 'quote' && char === '"') {
+          current += '"';
+          state = 'quoted';
+          continue;
+        }
+
+        if (char === delimiter) {
+          endField();
+        } else if (char === '\r' || char === '\n') {
+          endRow();
+          skipLF = char === '\r';
+        } else if (state === 'start' && char === '"') {
+          state = 'quoted';
         } else {
           current += char;
+          state = 'plain';
         }
       }
-      fields.push(current.trim());
-      return fields;
+    }
+
+    function end() {
+      // 마지막 줄바꿈 뒤에 남은 내용이 있을 때만 마지막 행으로 (닫히지 않은 따옴표도 그대로 마감)
+      if (fields.length > 0 || current || state !== 'start') endRow();
+      return rows;
+    }
+
+    return { push, end, lines };
+  }
+
+  /**
+   * 첫 행에서 가장 많이 쓴 구분자 (따옴표 밖만 셈, 같으면 쉼표)
+   */
+  function detectDelimiter(text) {
+    const counts = Object.fromEntries(DELIMITERS.map(d => [d, 0]));
+    let inQuotes = false;
+    for (const char of text) {
+      if (char === '"') inQuotes = !inQuotes;
+      else if (!inQuotes && (char === '\n' || char === '\r')) break;
+      else if (!inQuotes && char in counts) counts[char]++;
+    }
+    return DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+  }
+
+  /**
+   * CSV 문자열을 행 배열로 파싱
+   */
+  function parseCSVString(text, delimiter = detectDelimiter(text)) {
+    const parser = createParser(delimiter);
+    parser.push(text);
+    return parser.end();
+  }
+
+  // ── 문자 인코딩 ───────────────────────────────────────
+
+  /**
+   * 파일 인코딩 추측
+   * - UTF-8로 읽히면 UTF-8 (BOM 포함)
+   * - 아니면 엑셀 기본 인코딩 중 하나: 한국어(EUC-KR / CP949)는 두 바이트 모두 0xA1 이상인 글자가 대부분,
+   *   일본어(Shift_JIS) 가나 / 한자는 0x81~0xA0 바이트가 자주 나온다.
+   * @param {Uint8Array} bytes
+   */
+  function detectEncoding(bytes) {
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+      return 'utf-8';
+    } catch {
+      let high = 0;
+      let low  = 0;
+      bytes.forEach(b => {
+        if (b >= 0x80) high++;
+        if (b >= 0x80 && b <= 0xA0) low++;
+      });
+      return low / high < 0.1 ? 'euc-kr' : 'shift_jis';
+    }
+  }
+
+  /**
+   * 파일 바이트를 디코딩하면서 조각 단위로 파싱
+   * @param {ArrayBuffer|Uint8Array} buffer
+   * @param {string} options.encoding  - 생략하면 detectEncoding()
+   * @param {string} options.delimiter - 생략하면 첫 행으로 detectDelimiter()
+   * @returns {{ ok: boolean, records?: string[][], lines?: number[], hasHeader?: boolean,
+   *             encoding?: string, delimiter?: string, error?: string }}
+   *          lines: 행마다 파일에서 시작하는 줄 번호
+   */
+  function parseCSVBytes(buffer, { encoding, delimiter } = {}) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const enc   = encoding || detectEncoding(bytes);
+
+    let decoder;
+    try {
+      decoder = new TextDecoder(enc);
+    } catch {
+      return { ok: false, error: `지원하지 않는 문자 인코딩입니다: ${enc}` };
+    }
+
+    let parser = null;
+    let delim  = delimiter;
+    for (let i = 0; i < bytes.length || !parser; i += CHUNK_SIZE) {
+      const text = decoder.decode(bytes.subarray(i, i + CHUNK_SIZE), { stream: true });
+      if (!parser) {
+        delim  = delim || detectDelimiter(text);
+        parser = createParser(delim);
+      }
+      parser.push(text);
+    }
+    parser.push(decoder.decode());
+
+    // 앞쪽 빈 줄은 버림
+    const records = parser.end();
+    const lines   = parser.lines;
+    while (records.length > 0 && records[0].every(c => !c.trim())) {
+      records.shift();
+      lines.shift();
+    }
+    if (records.length === 0) return { ok: false, error: '데이터가 없습니다.' };
+
+    return { ok: true, records, lines, hasHeader: detectHeader(records[0]), encoding: enc, delimiter: delim };
+  }
+
+  // ── 부가 정보 열 (예문 / 태그) ────────────────────────
+
+  const LIST_SEP    = '|'; // 예문 / 태그 여러 개 구분
+  const EXAMPLE_SEP = '='; // 예문 일본어 = 한국어
+  const ESCAPE      = '\\'; // 예문 안의 | = \ 는 앞에 \ 를 붙여 씀
+
+  /**
+   * 예문 글자 안의 구분자 이스케이프: "A=B" → "A\=B"
+   */
+  function escapeExampleText(text) {
+    return String(text).replace(/[\\|=]/g, ch => ESCAPE + ch);
+  }
+
+  /**
+   * "ご飯を食べる=밥을 먹다|水を飲む=물을 마시다" → [{ japanese, korean }]
+   * \| \= \\ 는 글자 그대로, 예문마다 첫 번째 = 에서만 나눔
+   * (그 밖의 \ 는 그대로 둬서 이스케이프 없이 쓴 예전 파일도 읽힘)
+   */
+  function parseExamples(value) {
+    const examples = [];
+    let parts   = [''];
+    let escaped = false;
+
+    const endExample = () => {
+      const [japanese, korean = ''] = parts.map(part => part.trim());
+      if (japanese) examples.push({ japanese, korean });
+      parts = [''];
+    };
+
+    for (const ch of value || '') {
+      if (escaped) {
+        parts[parts.length - 1] += (ch === LIST_SEP || ch === EXAMPLE_SEP || ch === ESCAPE) ? ch : ESCAPE + ch;
+        escaped = false;
+      } else if (ch === ESCAPE) {
+        escaped = true;
+      } else if (ch === LIST_SEP) {
+        endExample();
+      } else if (ch === EXAMPLE_SEP && parts.length === 1) {
+        parts.push('');
+      } else {
+        parts[parts.length - 1] += ch;
+      }
+    }
+    if (escaped) parts[parts.length - 1] += ESCAPE;
+    endExample();
+
+    return examples;
+  }
+
+  /**
+   * 예문 배열 → "例文=예문|例文2=예문2" (글자 안의 | = \ 는 이스케이프)
+   */
+  function formatExamples(examples) {
+    return examples
+      .map(ex => ex.korean
+        ? `${escapeExampleText(ex.japanese)}${EXAMPLE_SEP}${escapeExampleText(ex.korean)}`
+        : escapeExampleText(ex.japanese))
+      .join(LIST_SEP);
+  }
+
+  /**
+   * "N5|여행" 또는 "N5, 여행" → ['N5', '여행']
+   */
+  function parseTags(value) {
+    return (value || '').split(/[|,]/).map(t => t.trim()).filter(Boolean);
+  }
+
+  // ── 열 매핑 ───────────────────────────────────────────
+
+  /**
+   * 단어 필드와 열 이름 후보 (대소문자 / 공백 / _ / - 무시)
+   * 헤더가 없는 파일은 이 순서(내보내기 열 순서)대로 맞춘다.
+   */
+  const FIELDS = [
+    { key: 'japanese',     label: '일본어',   required: true,
+      aliases: ['일본어', 'japanese', 'word', 'expression', 'kanji', 'front', '日本語', '単語'] },
+    { key: 'furigana',     label: '후리가나',
+      aliases: ['후리가나', '읽기', 'reading', 'furigana', 'kana', 'yomi', '読み', 'よみ', 'ふりがな'] },
+    { key: 'korean',       label: '한글뜻',   required: true,
+      aliases: ['한글뜻', '뜻', '의미', '한국어', 'meaning', 'korean', 'definition', 'translation', 'back', '意味'] },
+    { key: 'categoryName', label: '카테고리',
+      aliases: ['카테고리', '분류', 'category', 'deck', 'group', 'カテゴリ'] },
+    { key: 'partOfSpeech', label: '품사',
+      aliases: ['품사', 'pos', 'part of speech', 'partofspeech', '品詞'] },
+    { key: 'examples',     label: '예문',
+      aliases: ['예문', 'example', 'examples', 'sentence', '例文'] },
+    { key: 'notes',        label: '메모',
+      aliases: ['메모', 'note', 'notes', 'memo', 'メモ'] },
+    { key: 'tags',         label: '태그',
+      aliases: ['태그', 'tag', 'tags', 'タグ'] },
+  ];
+
+  function normalizeHeader(name) {
+    return String(name || '').replace(/^["']|["']$/g, '').trim().toLowerCase().replace(/[\s_-]+/g, '');
+  }
+
+  function findField(name) {
+    const key = normalizeHeader(name);
+    return key ? FIELDS.find(f => f.aliases.some(a => normalizeHeader(a) === key)) || null : null;
+  }
+
+  /**
+   * 첫 행이 열 이름(헤더)인지 (알려진 열 이름이 하나라도 있으면 헤더로 봄)
+   */
+  function detectHeader(firstRow = []) {
+    return firstRow.some(cell => !!findField(cell));
+  }
+
+  /**
+   * 열 매핑 추측 { japanese: 열 번호, ... } (-1 = 없음)
+   * @param {string[][]} records  - 파싱한 전체 행
+   * @param {boolean}    hasHeader - 첫 행이 헤더인지
+   */
+  function guessMapping(records, hasHeader) {
+    const columnCount = Math.max(0, ...records.map(r => r.length));
+    const mapping = Object.fromEntries(FIELDS.map(f => [f.key, -1]));
+
+    if (!hasHeader) {
+      FIELDS.forEach((f, i) => { if (i < columnCount) mapping[f.key] = i; });
+      return mapping;
+    }
+
+    (records[0] || []).forEach((cell, i) => {
+      const field = findField(cell);
+      if (field && mapping[field.key] === -1) mapping[field.key] = i;
+    });
+    return mapping;
+  }
+
+  /**
+   * 매핑에 따라 행을 단어로 바꾸고 행마다 오류 확인 (저장하지 않음)
+   * @param {string[][]} records
+   * @param {object}     mapping - guessMapping() 형식
+   * @param {boolean}    options.hasHeader       - 첫 행은 건너뜀
+   * @param {string}     options.defaultCategory - 카테고리 열이 없거나 빈 행에 쓸 카테고리 이름
+   * @param {number[]}   options.lines           - 행마다 파일 줄 번호 (parseCSVBytes, 생략하면 행 순서)
+   * @returns {{ ok: boolean, items?: { line, row, error }[], error?: string }}
+   */
+  function mapRecords(records, mapping, { hasHeader = true, defaultCategory = '', lines = null } = {}) {
+    if (mapping.japanese < 0) return { ok: false, error: '일본어 열을 선택해주세요.' };
+    if (mapping.korean   < 0) return { ok: false, error: '한글뜻 열을 선택해주세요.' };
+    if (mapping.categoryName < 0 && !defaultCategory) {
+      return { ok: false, error: '카테고리 열이나 기본 카테고리를 선택해주세요.' };
+    }
+
+    const first = hasHeader ? 1 : 0;
+    const items = [];
+
+    records.slice(first).forEach((cols, i) => {
+      // 빈 행 스킵
+      if (cols.every(c => !c.trim())) return;
+
+      const get = key => (mapping[key] >= 0 ? (cols[mapping[key]] || '').trim() : '');
+      const line = lines?.[first + i] ?? first + i + 1; // 1-index 파일 줄 번호
+      const row  = {
+        line,
+        japanese:     get('japanese'),
+        furigana:     get('furigana'),
+        korean:       get('korean'),
+        categoryName: get('categoryName') || defaultCategory,
+        partOfSpeech: get('partOfSpeech'),
+        examples:     parseExamples(get('examples')),
+        notes:        get('notes'),
+        tags:         parseTags(get('tags')),
+      };
+
+      let error = null;
+      if (!row.japanese)          error = '일본어가 비어있습니다.';
+      else if (!row.korean)       error = '한글뜻이 비어있습니다.';
+      else if (!row.categoryName) error = '카테고리가 비어있습니다.';
+
+      items.push({ line, row, error });
     });
+
+    return { ok: true, items };
   }
 
+  // ── CSV 파일 읽기 ─────────────────────────────────────
+
   /**
-   * CSV 파일을 읽어서 단어 배열로 변환
-   * 헤더: 일본어,후리가나,한글뜻,카테고리
+   * CSV / TSV 파일을 읽어 행 배열로 파싱 (열 매핑 / 검증 전 단계)
+   * 원본 바이트(bytes)도 돌려주므로 인코딩 / 구분자를 바꿔 다시 파싱할 수 있다.
    * @param {File} file
-   * @returns {Promise<{ ok: boolean, rows?: Array, error?: string }>}
+   * @returns {Promise<{ ok: boolean, bytes?: ArrayBuffer, records?: string[][], lines?: number[], hasHeader?: boolean,
+   *                     encoding?: string, delimiter?: string, error?: string }>}
    */
-  function parseCSVFile(file) {
+  function readCSVFile(file) {
     return new Promise((resolve) => {
-      if (!file || !file.name.endsWith('.csv')) {
-        return resolve({ ok: false, error: 'CSV 파일만 업로드 가능합니다.' });
+      if (!file || !/\.(csv|tsv|txt)$/i.test(file.name)) {
+        return resolve({ ok: false, error: 'CSV / TSV / TXT 파일만 업로드 가능합니다.' });
       }
 
       const reader = new FileReader();
       reader.onload = (e) => {
         try {
-          const text = e.target.result;
-          const allRows = parseCSVString(text);
-
-          if (allRows.length < 2) {
-            return resolve({ ok: false, error: '데이터가 없습니다. 헤더 포함 2행 이상 필요합니다.' });
-          }
-
-          // 헤더 검증
-          const header = allRows[0].map(h => h.replace(/^["']|["']$/g, '').trim());
-          const requiredHeaders = ['일본어', '한글뜻', '카테고리'];
-          const missingHeaders = requiredHeaders.filter(h => !header.includes(h));
-          if (missingHeaders.length > 0) {
-            return resolve({
-              ok: false,
-              error: `헤더가 올바르지 않습니다. 필수 항목: ${missingHeaders.join(', ')}`,
-            });
-          }
-
-          // 컬럼 인덱스
-          const idx = {
-            japanese:     header.indexOf('일본어'),
-            furigana:     header.indexOf('후리가나'),
-            korean:       header.indexOf('한글뜻'),
-            categoryName: header.indexOf('카테고리'),
-          };
-
-          const rows = [];
-          const errors = [];
-
-          allRows.slice(1).forEach((cols, i) => {
-            const lineNum = i + 2;
-            // 빈 행 스킵
-            if (cols.every(c => !c)) return;
-
-            const japanese = (cols[idx.japanese] || '').trim();
-            const korean   = (cols[idx.korean]   || '').trim();
-            const categoryName = (cols[idx.categoryName] || '').trim();
-
-            if (!japanese) {
-              errors.push(`${lineNum}행: 일본어가 비어있습니다.`);
-              return;
-            }
-            if (!korean) {
-              errors.push(`${lineNum}행: 한글뜻이 비어있습니다.`);
-              return;
-            }
-            if (!categoryName) {
-              errors.push(`${lineNum}행: 카테고리가 비어있습니다.`);
-              return;
-            }
-
-            rows.push({
-              japanese,
-              furigana:     idx.furigana !== -1 ? (cols[idx.furigana] || '').trim() : '',
-              korean,
-              categoryName,
-            });
-          });
-
-          resolve({ ok: true, rows, errors });
+          const bytes = e.target.result;
+          resolve({ ...parseCSVBytes(bytes), bytes });
         } catch (err) {
           resolve({ ok: false, error: `파싱 오류: ${err.message}` });
         }
       };
 
       reader.onerror = () => resolve({ ok: false, error: '파일을 읽을 수 없습니다.' });
-      reader.readAsText(file, 'UTF-8');
+      reader.readAsArrayBuffer(file);
     });
   }
 
@@ -192,10 +506,13 @@ const CSV = (() => {
 
   /**
    * 값을 CSV 필드로 안전하게 이스케이프
+   * 쌍따옴표 / 줄바꿈 / 지원하는 구분자(, 탭 ;) 중 하나라도 있으면 감싸므로
+   * 어떤 구분자로 읽어도 parseCSVString()이 같은 값을 돌려준다.
+   * 맨 앞 BOM 글자도 감싸서 파일 BOM으로 잘려 나가지 않게 한다.
    */
   function escapeField(value) {
     const str = String(value ?? '');
-    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    if (/[",;\t\r\n]/.test(str) || str.charCodeAt(0) === 0xFEFF) {
       return `"${str.replace(/"/g, '""')}"`;
     }
     return str;
@@ -208,13 +525,20 @@ const CSV = (() => {
     const categories = Data.getCategories();
     const categoryMap = Object.fromEntries(categories.map(c => [c.id, c.name]));
 
-    const header = ['일본어', '후리가나', '한글뜻', '카테고리'];
-    const rows = words.map(w => [
-      w.japanese,
-      w.furigana || '',
-      w.korean,
-      categoryMap[w.categoryId] || '',
-    ]);
+    const header = ['일본어', '후리가나', '한글뜻', '카테고리', '품사', '예문', '메모', '태그'];
+    const rows = words.map(w => {
+      const details = Data.getWordDetails(w);
+      return [
+        w.japanese,
+        w.furigana || '',
+        w.korean,
+        categoryMap[w.categoryId] || '',
+        details.partOfSpeech,
+        formatExamples(details.examples),
+        details.notes,
+        details.tags.join(LIST_SEP),
+      ];
+    });
 
     return [header, ...rows]
       .map(row => row.map(escapeField).join(','))
@@ -257,10 +581,10 @@ const CSV = (() => {
       }
 
       const reader = new FileReader();
-      reader.onload = (e) => {
+      reader.onload = async (e) => {
         try {
           const data = JSON.parse(e.target.result);
-          const success = Storage.importAll(data);
+          const success = await Storage.importAll(data);
           if (success) {
             resolve({ ok: true });
           } else {
@@ -279,14 +603,16 @@ const CSV = (() => {
   // ── 공통 유틸 ─────────────────────────────────────────
 
   function getDateString() {
-    return new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return DateUtil.toDateString(new Date()).replace(/-/g, '');
   }
 
   /**
    * 브라우저에서 파일 다운로드 트리거
+   * @param {object}  options
+   * @param {boolean} options.bom - UTF-8 BOM 붙이기 (기본: CSV만, 엑셀 호환)
    */
-  function downloadFile(content, filename, mimeType) {
-    const BOM = mimeType.includes('csv') ? '\uFEFF' : ''; // CSV UTF-8 BOM (엑셀 호환)
+  function downloadFile(content, filename, mimeType, { bom = mimeType.includes('csv') } = {}) {
+    const BOM = bom ? '\uFEFF' : '';
     const blob = new Blob([BOM + content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -302,9 +628,19 @@ const CSV = (() => {
   // ── public API ────────────────────────────────────────
 
   return {
-    parseCSVFile,
+    FIELDS,
+    DELIMITERS,
+    ENCODINGS,
+    parseCSVString,
+    parseCSVBytes,
+    escapeField,
+    formatExamples,
+    readCSVFile,
+    guessMapping,
+    mapRecords,
     exportWordsAsCSV,
     exportAllAsJSON,
+    downloadFile,
     importFromJSON,
   };
 
@@ -1,7 +1,32 @@
 /**
  * data.js
  * 단어 / 카테고리 데이터 CRUD 모듈
- * storage.js에 의존한다.
+ * storage.js, srs.js, kana.js에 의존한다.
+ *
+ * 조회/변경 결과는 Storage 메모리 캐시 기준으로 즉시 반환하고,
+ * 실제 저장(IndexedDB)은 바뀐 레코드만 비동기로 이루어진다.
+ *
+ * ── 학습 방향별 진행 상황 ────────────────────────────────
+ *
+ * 일본어를 보고 뜻 알아보기(jp-ko)와 뜻을 보고 일본어 떠올리기(ko-jp)는
+ * 다른 능력이므로 복습 스케줄 / 오답 카운트를 따로 관리한다.
+ * - jp-ko : 단어 최상위 필드 (기존 데이터 그대로)
+ * - ko-jp : word.reverse 객체 (처음 학습할 때 생성, 없으면 새 단어)
+ *
+ * ── 단어 부가 정보 (모두 선택) ───────────────────────────
+ *
+ * - partOfSpeech : 품사 (자유 입력, PARTS_OF_SPEECH는 입력 제안용)
+ * - examples     : 예문 배열 [{ japanese, korean }]
+ * - notes        : 메모
+ * - tags         : 태그 배열 (중복 없이)
+ * 예전 단어에는 필드가 없을 수 있으므로 읽을 때 getWordDetails()를 쓴다.
+ *
+ * ── 중복 단어 ────────────────────────────────────────────
+ *
+ * 일본어가 같고 후리가나가 같거나 한쪽이 비어 있으면 같은 단어로 본다.
+ * 비교할 때는 전각/반각(NFKC)과 가타카나/히라가나만 통일한다.
+ * 예) ｺｰﾋｰ / コーヒー / こーひー 는 같은 단어, ボール / ボウル 는 다른 단어
+ * (장음 / 로마자까지 무시하는 Kana.normalize()는 답안 비교용이라 여기서는 쓰지 않음)
  */
 
 const Data = (() => {
@@ -14,8 +39,11 @@ const Data = (() => {
       : Date.now().toString(36) + Math.random().toString(36).slice(2);
   }
 
+  /**
+   * 오늘 학습일 (로컬 시간 + 하루 시작 시각 기준, date.js)
+   */
   function today() {
-    return new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+    return DateUtil.today(); // YYYY-MM-DD
   }
 
   // ── 기본 카테고리 ─────────────────────────────────────
@@ -64,7 +92,7 @@ const Data = (() => {
       isDefault: false,
       createdAt: today(),
     };
-    Storage.setCategories([...existing, newCategory]);
+    Storage.putCategory(newCategory);
     return { ok: true, category: newCategory };
   }
 
@@ -74,9 +102,9 @@ const Data = (() => {
     if (!target) return { ok: false, error: '카테고리를 찾을 수 없습니다.' };
 
     // 카테고리 삭제 시 해당 카테고리의 단어도 함께 삭제
-    const words = Storage.getWords().filter(w => w.categoryId !== id);
-    Storage.setWords(words);
-    Storage.setCategories(categories.filter(c => c.id !== id));
+    const wordIds = getWordsByCategory(id).map(w => w.id);
+    if (wordIds.length > 0) Storage.deleteWords(wordIds);
+    Storage.deleteCategory(id);
     return { ok: true };
   }
 
@@ -88,9 +116,123 @@ const Data = (() => {
     const idx = categories.findIndex(c => c.id === id);
     if (idx === -1) return { ok: false, error: '카테고리를 찾을 수 없습니다.' };
 
-    categories[idx] = { ...categories[idx], name: trimmed };
-    Storage.setCategories(categories);
-    return { ok: true, category: categories[idx] };
+    const updated = { ...categories[idx], name: trimmed };
+    Storage.putCategory(updated);
+    return { ok: true, category: updated };
+  }
+
+  // ── 학습 방향 ─────────────────────────────────────────
+
+  const DIRECTIONS = ['jp-ko', 'ko-jp'];
+
+  /**
+   * 방향별 진행 상황 초기값 (스케줄 필드 + 오답노트 필드)
+   */
+  function createProgress() {
+    return { ...SRS.createState(), wrongCount: 0, correctStreak: 0 };
+  }
+
+  /**
+   * 단어의 방향별 진행 상황
+   * @param {object} word
+   * @param {string} direction - 'jp-ko' | 'ko-jp'
+   */
+  function getProgress(word, direction = 'jp-ko') {
+    if (direction === 'ko-jp') return word.reverse || createProgress();
+    return word;
+  }
+
+  /**
+   * 방향별 진행 상황을 반영한 새 단어 객체
+   */
+  function withProgress(word, direction, progress) {
+    const fields = {};
+    Object.keys(createProgress()).forEach(key => {
+      if (progress[key] !== undefined) fields[key] = progress[key];
+    });
+    if (direction === 'ko-jp') return { ...word, reverse: fields };
+    return { ...word, ...fields };
+  }
+
+  /**
+   * 오답 횟수 (direction 생략 시 모든 방향 합계)
+   */
+  function getWrongCount(word, direction) {
+    const directions = direction ? [direction] : DIRECTIONS;
+    return directions.reduce((sum, d) => sum + (getProgress(word, d).wrongCount || 0), 0);
+  }
+
+  // ── 단어 부가 정보 ────────────────────────────────────
+
+  const PARTS_OF_SPEECH = ['명사', '동사', 'い형용사', 'な형용사', '부사', '조사', '접속사', '감탄사', '표현'];
+
+  /**
+   * 태그 입력값 정리 ("a, b" 문자열 또는 배열 → 공백 제거, 중복 제거 배열)
+   */
+  function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+    return [...new Set(list.map(t => String(t ?? '').trim()).filter(Boolean))];
+  }
+
+  /**
+   * 예문 입력값 정리 (일본어가 비어 있는 예문은 버림)
+   */
+  function normalizeExamples(examples) {
+    if (!Array.isArray(examples)) return [];
+    return examples
+      .map(ex => ({
+        japanese: String(ex?.japanese ?? '').trim(),
+        korean:   String(ex?.korean   ?? '').trim(),
+      }))
+      .filter(ex => ex.japanese);
+  }
+
+  /**
+   * 부가 정보 필드 정리 (넘겨받은 필드만)
+   */
+  function normalizeDetails(fields) {
+    const details = {};
+    if (fields.partOfSpeech !== undefined) details.partOfSpeech = String(fields.partOfSpeech ?? '').trim();
+    if (fields.examples     !== undefined) details.examples     = normalizeExamples(fields.examples);
+    if (fields.notes        !== undefined) details.notes        = String(fields.notes ?? '').trim();
+    if (fields.tags         !== undefined) details.tags         = normalizeTags(fields.tags);
+    return details;
+  }
+
+  /**
+   * 단어의 부가 정보 (필드가 없는 예전 단어는 빈 값)
+   */
+  function getWordDetails(word) {
+    return {
+      partOfSpeech: word.partOfSpeech || '',
+      examples:     word.examples     || [],
+      notes:        word.notes        || '',
+      tags:         word.tags         || [],
+    };
+  }
+
+  function hasWordDetails(word) {
+    const d = getWordDetails(word);
+    return !!(d.partOfSpeech || d.examples.length || d.notes || d.tags.length);
+  }
+
+  /**
+   * 등록된 모든 태그 (가나다순)
+   */
+  function getAllTags() {
+    const tags = new Set();
+    getWords().forEach(w => getWordDetails(w).tags.forEach(t => tags.add(t)));
+    return [...tags].sort((a, b) => a.localeCompare(b, 'ko'));
+  }
+
+  /**
+   * 단어에 쓰인 모든 품사 (제안 목록 순서 → 나머지는 가나다순)
+   */
+  function getAllPartsOfSpeech() {
+    const used  = new Set(getWords().map(w => getWordDetails(w).partOfSpeech).filter(Boolean));
+    const known = PARTS_OF_SPEECH.filter(pos => used.has(pos));
+    const other = [...used].filter(pos => !PARTS_OF_SPEECH.includes(pos)).sort((a, b) => a.localeCompare(b, 'ko'));
+    return [...known, ...other];
   }
 
   // ── 단어 ──────────────────────────────────────────────
@@ -106,11 +248,12 @@ const Data = (() => {
   /**
    * 오답 단어 목록 반환 (wrongCount >= 1)
    * 많이 틀린 순으로 정렬
+   * @param {string} direction - 'jp-ko' | 'ko-jp' (생략 시 어느 방향이든 틀린 단어)
    */
-  function getWrongWords() {
+  function getWrongWords(direction) {
     return getWords()
-      .filter(w => w.wrongCount >= 1)
-      .sort((a, b) => b.wrongCount - a.wrongCount);
+      .filter(w => getWrongCount(w, direction) >= 1)
+      .sort((a, b) => getWrongCount(b, direction) - getWrongCount(a, direction));
   }
 
   function getWordById(id) {
@@ -123,8 +266,13 @@ const Data = (() => {
    * @param {string} furigana  - 후리가나 (선택)
    * @param {string} korean    - 한글 뜻
    * @param {string} categoryId - 카테고리 ID
+   * @param {string} partOfSpeech / examples / notes / tags - 부가 정보 (선택)
+   * @param {object} options
+   * @param {string} options.onDuplicate - 같은 단어가 있을 때 'skip' | 'overwrite' | 'keep'
+   *                                       (생략하면 추가하지 않고 duplicate와 함께 오류 반환)
    */
-  function addWord({ japanese, furigana = '', korean, categoryId }) {
+  function addWord(fields, { onDuplicate = null } = {}) {
+    const { japanese, furigana = '', korean, categoryId, partOfSpeech = '', examples = [], notes = '', tags = [] } = fields;
     if (!japanese.trim()) return { ok: false, error: '일본어를 입력해주세요.' };
     if (!korean.trim())   return { ok: false, error: '한글 뜻을 입력해주세요.' };
     if (!categoryId)      return { ok: false, error: '카테고리를 선택해주세요.' };
@@ -132,17 +280,26 @@ const Data = (() => {
       return { ok: false, error: '존재하지 않는 카테고리입니다.' };
     }
 
+    const duplicate = onDuplicate === 'keep' ? null : findDuplicate(japanese, furigana);
+    if (duplicate) {
+      if (onDuplicate === 'skip')      return { ok: true, skipped: true, word: duplicate };
+      if (onDuplicate === 'overwrite') return overwriteWord(duplicate, fields);
+      return { ok: false, error: '이미 등록된 단어입니다.', duplicate };
+    }
+
     const newWord = {
       id:            generateId(),
       japanese:      japanese.trim(),
       furigana:      furigana.trim(),
       korean:        korean.trim(),
       categoryId,
+      ...normalizeDetails({ partOfSpeech, examples, notes, tags }),
       wrongCount:    0,
       correctStreak: 0,
       createdAt:     today(),
+      ...SRS.createState(),
     };
-    Storage.setWords([...getWords(), newWord]);
+    Storage.putWord(newWord);
     return { ok: true, word: newWord };
   }
 
@@ -153,58 +310,127 @@ const Data = (() => {
 
     // 수정 허용 필드만 업데이트
     const allowed = ['japanese', 'furigana', 'korean', 'categoryId'];
-    const updated = { ...words[idx] };
+    const updated = { ...words[idx], ...normalizeDetails(fields) };
     allowed.forEach(key => {
       if (fields[key] !== undefined) updated[key] = fields[key];
     });
 
-    words[idx] = updated;
-    Storage.setWords(words);
+    Storage.putWord(updated);
     return { ok: true, word: updated };
   }
 
   function deleteWord(id) {
-    const words = getWords();
-    if (!words.find(w => w.id === id)) {
+    if (!getWordById(id)) {
       return { ok: false, error: '단어를 찾을 수 없습니다.' };
     }
-    Storage.setWords(words.filter(w => w.id !== id));
+    Storage.deleteWord(id);
     return { ok: true };
   }
 
   /**
    * 단어 정답/오답 처리
    * quiz.js에서 호출
+   * 오답노트 필드(wrongCount, correctStreak)와 복습 스케줄(srs.js)을 함께 갱신
+   *
+   * 정답 등급별 오답 졸업 카운트
+   * - hard : 겨우 기억 → 연속 정답 유지 (졸업에 반영 안 함)
+   * - good : 연속 정답 +1
+   * - easy : 바로 기억 → 연속 정답 +2
+   *
+   * @param {string} id
+   * @param {string} grade     - 'hard' | 'good' | 'easy'
+   * @param {string} direction - 'jp-ko' | 'ko-jp'
    */
-  function markCorrect(id) {
-    const words = getWords();
-    const idx = words.findIndex(w => w.id === id);
-    if (idx === -1) return;
+  function markCorrect(id, grade = 'good', direction = 'jp-ko') {
+    const word = getWordById(id);
+    if (!word) return;
 
     const settings = Storage.getSettings();
-    const word = { ...words[idx] };
-    word.correctStreak += 1;
+    const quality  = SRS.gradeToQuality(grade);
+    const prev     = getProgress(word, direction);
+    const progress = { ...prev, ...SRS.review(prev, quality, today()) };
+    const streakGain = { hard: 0, good: 1, easy: 2 };
+    progress.correctStreak = (progress.correctStreak || 0) + (streakGain[grade] ?? 1);
 
     // 오답 졸업 조건
-    if (word.wrongCount > 0 && word.correctStreak >= settings.graduationStreak) {
-      word.wrongCount    = 0;
-      word.correctStreak = 0;
+    if (progress.wrongCount > 0 && progress.correctStreak >= settings.graduationStreak) {
+      progress.wrongCount    = 0;
+      progress.correctStreak = 0;
     }
 
-    words[idx] = word;
-    Storage.setWords(words);
+    Storage.putWord(withProgress(word, direction, progress));
   }
 
-  function markWrong(id) {
-    const words = getWords();
-    const idx = words.findIndex(w => w.id === id);
-    if (idx === -1) return;
+  /**
+   * @param {string} id
+   * @param {string} direction - 'jp-ko' | 'ko-jp'
+   */
+  function markWrong(id, direction = 'jp-ko') {
+    const word = getWordById(id);
+    if (!word) return;
+
+    const quality  = SRS.gradeToQuality('again');
+    const prev     = getProgress(word, direction);
+    const progress = { ...prev, ...SRS.review(prev, quality, today()) };
+    progress.wrongCount    = (progress.wrongCount || 0) + 1;
+    progress.correctStreak = 0;
+    Storage.putWord(withProgress(word, direction, progress));
+  }
+
+  /**
+   * 답하기 전 진행 상황으로 되돌리기 (학습 중 되돌리기)
+   * @param {string} id
+   * @param {string} direction - 'jp-ko' | 'ko-jp'
+   * @param {object} progress  - 답하기 전 getProgress() 값
+   */
+  function restoreProgress(id, direction, progress) {
+    const word = getWordById(id);
+    if (!word) return { ok: false, error: '단어를 찾을 수 없습니다.' };
+    Storage.putWord(withProgress(word, direction, progress));
+    return { ok: true };
+  }
 
-    const word = { ...words[idx] };
-    word.wrongCount    += 1;
-    word.correctStreak  = 0;
-    words[idx] = word;
-    Storage.setWords(words);
+  /**
+   * 복습 예정 단어 목록 반환 (dueDate <= 오늘)
+   * 오래 밀린 순으로 정렬
+   * @param {string} direction - 'jp-ko' | 'ko-jp' (생략 시 어느 방향이든 복습 예정인 단어)
+   */
+  function getDueWords(direction) {
+    const todayStr   = today();
+    const directions = direction ? [direction] : DIRECTIONS;
+    const dueDateOf  = w => directions
+      .map(d => getProgress(w, d))
+      .filter(p => SRS.isDue(p, todayStr))
+      .map(p => p.dueDate)
+      .sort()[0];
+
+    return getWords()
+      .filter(w => dueDateOf(w))
+      .sort((a, b) => dueDateOf(a).localeCompare(dueDateOf(b)));
+  }
+
+  /**
+   * 오늘 처음 학습한(새로 배운) 카드 수 (방향별로 따로 셈)
+   */
+  function getNewLearnedTodayCount() {
+    const todayStr = today();
+    return getWords().reduce((sum, w) =>
+      sum + DIRECTIONS.filter(d => getProgress(w, d).learnedAt === todayStr).length
+    , 0);
+  }
+
+  /**
+   * 저장된 단어를 복습 스케줄 구조로 변환 (앱 시작 시 1회)
+   * 이미 변환된 단어는 건너뛰고, 변경이 있을 때만 저장
+   */
+  function migrateWords() {
+    const todayStr = today();
+    const migrated = getWords()
+      .map(w => ({ before: w, after: SRS.migrate(w, todayStr) }))
+      .filter(({ before, after }) => before !== after)
+      .map(({ after }) => after);
+
+    if (migrated.length > 0) Storage.putWords(migrated);
   }
 
   // ── CSV 관련 데이터 처리 ───────────────────────────────
@@ -213,14 +439,16 @@ const Data = (() => {
   /**
    * 단어 배열 일괄 추가
    * 카테고리 이름이 없으면 자동 생성
-   * @param {Array} rows - { japanese, furigana, korean, categoryName } 배열
-   * @returns {{ added: number, errors: string[] }}
+   * @param {Array} rows - { japanese, furigana, korean, categoryName, partOfSpeech?, examples?, notes?, tags?, line? } 배열
+   * @param {object} options
+   * @param {string} options.onDuplicate - 이미 있는 단어 처리 'skip' | 'overwrite' | 'keep'
+   * @returns {{ added: number, skipped: number, overwritten: number, errors: string[] }}
    */
-  function bulkAddWords(rows) {
-    const results = { added: 0, errors: [] };
+  function bulkAddWords(rows, { onDuplicate = 'skip' } = {}) {
+    const results = { added: 0, skipped: 0, overwritten: 0, errors: [] };
 
     rows.forEach((row, i) => {
-      const lineNum = i + 2; // 헤더 포함 1-index
+      const lineNum = row.line ?? i + 2; // 파일 행 번호 (없으면 헤더 포함 1-index)
 
       // 카테고리 이름으로 ID 찾거나 새로 생성
       let categoryId;
@@ -247,9 +475,17 @@ const Data = (() => {
         furigana:   row.furigana || '',
         korean:     row.korean,
         categoryId,
-      });
+        partOfSpeech: row.partOfSpeech,
+        examples:     row.examples,
+        notes:        row.notes,
+        tags:         row.tags,
+      }, { onDuplicate });
 
-      if (result.ok) {
+      if (result.skipped) {
+        results.skipped++;
+      } else if (result.overwritten) {
+        results.overwritten++;
+      } else if (result.ok) {
         results.added++;
       } else {
         results.errors.push(`${lineNum}행: ${result.error}`);
@@ -259,43 +495,598 @@ const Data = (() => {
     return results;
   }
 
+  // ── 중복 단어 ─────────────────────────────────────────
+
+  const DUPLICATE_POLICIES = ['skip', 'overwrite', 'keep'];
+
+  // 단어 객체별 비교용 키 (단어는 바뀔 때마다 새 객체로 저장되므로 객체 기준으로 보관)
+  const keyCache = new WeakMap();
+
+  /**
+   * 비교용 표기 (전각/반각 통일 → 가타카나는 히라가나로)
+   */
+  function textKey(text) {
+    return Kana.katakanaToHiragana(String(text || '').normalize('NFKC').trim());
+  }
+
+  function wordKey(word) {
+    let key = keyCache.get(word);
+    if (!key) {
+      key = { jp: textKey(word.japanese), fu: textKey(word.furigana) };
+      keyCache.set(word, key);
+    }
+    return key;
+  }
+
+  /**
+   * 같은 단어인지 (일본어가 같고, 후리가나가 같거나 한쪽이 비어 있음)
+   */
+  function isSameWord(a, b) {
+    const ka = wordKey(a);
+    const kb = wordKey(b);
+    return ka.jp === kb.jp && (!ka.fu || !kb.fu || ka.fu === kb.fu);
+  }
+
+  /**
+   * 이미 등록된 같은 단어 (표기까지 똑같은 단어를 먼저 찾음)
+   * @param {string} excludeId - 비교에서 뺄 단어 ID (수정 중인 단어)
+   */
+  function findDuplicate(japanese, furigana = '', excludeId = null) {
+    const target = { japanese: (japanese || '').trim(), furigana: (furigana || '').trim() };
+    const words  = getWords().filter(w => w.id !== excludeId);
+    return words.find(w => w.japanese === target.japanese && (w.furigana || '') === target.furigana)
+      || words.find(w => isSameWord(w, target))
+      || null;
+  }
+
+  /**
+   * 같은 단어를 새 값으로 덮어쓰기 (학습 진행 상황은 유지)
+   * 비어 있는 후리가나 / 부가 정보는 기존 값을 그대로 둔다.
+   */
+  function overwriteWord(word, fields) {
+    const updates = { korean: fields.korean.trim(), categoryId: fields.categoryId };
+    if ((fields.furigana || '').trim()) updates.furigana = fields.furigana.trim();
+    Object.entries(normalizeDetails(fields)).forEach(([key, value]) => {
+      if (Array.isArray(value) ? value.length > 0 : value) updates[key] = value;
+    });
+    return { ...updateWord(word.id, updates), overwritten: true };
+  }
+
+  /**
+   * 이미 저장된 중복 단어 묶음 (묶음마다 먼저 등록한 단어가 앞)
+   * 후리가나가 빈 단어는 같은 일본어의 첫 묶음에 들어간다.
+   * @returns {object[][]}
+   */
+  function findDuplicateGroups() {
+    const byJapanese = new Map();
+    getWords().forEach(w => {
+      const { jp } = wordKey(w);
+      if (!byJapanese.has(jp)) byJapanese.set(jp, []);
+      byJapanese.get(jp).push(w);
+    });
+
+    const groups = [];
+    byJapanese.forEach(words => {
+      if (words.length < 2) return;
+
+      const byFurigana = new Map();
+      const noFurigana = [];
+      words.forEach(w => {
+        const { fu } = wordKey(w);
+        if (!fu) {
+          noFurigana.push(w);
+          return;
+        }
+        if (!byFurigana.has(fu)) byFurigana.set(fu, []);
+        byFurigana.get(fu).push(w);
+      });
+
+      const subGroups = [...byFurigana.values()];
+      if (subGroups.length > 0) subGroups[0].push(...noFurigana);
+      else subGroups.push(noFurigana);
+
+      subGroups
+        .filter(group => group.length > 1)
+        .forEach(group => groups.push(
+          group.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''))
+        ));
+    });
+    return groups;
+  }
+
+  /**
+   * 여러 사본의 진행 상황 중 덜 익힌 쪽
+   * 한 번도 학습하지 않은 사본은 (모두 그렇지 않다면) 비교에서 빼고,
+   * 복습 간격 → 쉬움 정도 → 복습 예정일 순으로 짧은 / 낮은 / 이른 쪽을 고른다.
+   * 오답 횟수는 가장 많은 값, 연속 정답은 가장 적은 값을 남긴다.
+   */
+  function worseProgress(list) {
+    const studied    = list.filter(p => !SRS.isNew(p));
+    const candidates = studied.length > 0 ? studied : list;
+    const worst = [...candidates].sort((a, b) =>
+      (a.interval || 0) - (b.interval || 0)
+      || (a.ease || 0) - (b.ease || 0)
+      || (a.dueDate || '').localeCompare(b.dueDate || '')
+    )[0];
+
+    return {
+      ...worst,
+      wrongCount:    Math.max(...list.map(p => p.wrongCount || 0)),
+      correctStreak: Math.min(...candidates.map(p => p.correctStreak || 0)),
+    };
+  }
+
+  /**
+   * 중복 단어 합치기
+   * 첫 단어(ID, 카테고리)를 남기고 뜻 / 부가 정보는 모두 모으며,
+   * 학습 진행 상황은 방향별로 덜 익힌 쪽을 남긴다.
+   * 지운 단어의 답변 기록은 남는 단어로 옮긴다.
+   * @param {string[]} ids - 합칠 단어 ID (첫 번째가 남음)
+   */
+  function mergeWords(ids) {
+    const words = ids.map(getWordById).filter(Boolean);
+    if (words.length < 2) return { ok: false, error: '합칠 단어가 2개 이상 있어야 합니다.' };
+
+    const [base, ...rest] = words;
+    const details  = words.map(getWordDetails);
+    const meanings = words.flatMap(w => w.korean.split(/[,、]/).map(s => s.trim()).filter(Boolean));
+    const examples = details.flatMap(d => d.examples)
+      .filter((ex, i, list) => list.findIndex(e => e.japanese === ex.japanese) === i);
+
+    let merged = {
+      ...base,
+      furigana:     words.map(w => w.furigana).find(Boolean) || '',
+      korean:       [...new Set(meanings)].join(', '),
+      partOfSpeech: details.map(d => d.partOfSpeech).find(Boolean) || '',
+      examples,
+      notes:        [...new Set(details.map(d => d.notes).filter(Boolean))].join('\n'),
+      tags:         normalizeTags(details.flatMap(d => d.tags)),
+    };
+    DIRECTIONS.forEach(direction => {
+      if (direction === 'ko-jp' && !words.some(w => w.reverse)) return;
+      merged = withProgress(merged, direction, worseProgress(words.map(w => getProgress(w, direction))));
+    });
+
+    const removedIds = new Set(rest.map(w => w.id));
+    Storage.putWord(merged);
+    Storage.deleteWords([...removedIds]);
+
+    const moved = getReviewLog()
+      .filter(r => removedIds.has(r.wordId))
+      .map(r => ({ ...r, wordId: base.id }));
+    if (moved.length > 0) Storage.putReviews(moved);
+    return { ok: true, word: merged, removed: removedIds.size };
+  }
+
+  /**
+   * 중복 단어 묶음 모두 합치기
+   * @returns {{ groups: number, removed: number }}
+   */
+  function mergeAllDuplicates() {
+    return findDuplicateGroups().reduce((sum, group) => {
+      const result = mergeWords(group.map(w => w.id));
+      return result.ok
+        ? { groups: sum.groups + 1, removed: sum.removed + result.removed }
+        : sum;
+    }, { groups: 0, removed: 0 });
+  }
+
+  // ── 맞춤 학습 (카테고리 + 태그 + 품사 조합) ──────────
+  //
+  // 선택 조건 selection: { categoryIds, tags, partsOfSpeech, name? }
+  // - 같은 종류 안에서는 하나라도 맞으면 (예: 식당 또는 교통)
+  // - 종류끼리는 모두 맞아야 (예: (식당 또는 교통) 이면서 동사)
+  // - 비어 있는 종류는 조건 없음 (카테고리를 안 고르면 모든 카테고리)
+  // - name은 프리셋으로 시작한 세션의 표시용 이름
+
+  /**
+   * 선택 조건 정리 (배열 보장, 중복 제거)
+   */
+  function normalizeSelection(selection = {}) {
+    const list = value => [...new Set((Array.isArray(value) ? value : []).filter(Boolean))];
+    const normalized = {
+      categoryIds:   list(selection.categoryIds),
+      tags:          list(selection.tags),
+      partsOfSpeech: list(selection.partsOfSpeech),
+    };
+    if (selection.name) normalized.name = selection.name;
+    return normalized;
+  }
+
+  function isEmptySelection(selection) {
+    const { categoryIds, tags, partsOfSpeech } = normalizeSelection(selection);
+    return categoryIds.length === 0 && tags.length === 0 && partsOfSpeech.length === 0;
+  }
+
+  function matchesSelection(word, selection) {
+    const { categoryIds, tags, partsOfSpeech } = normalizeSelection(selection);
+    const details = getWordDetails(word);
+    return (categoryIds.length   === 0 || categoryIds.includes(word.categoryId))
+        && (tags.length          === 0 || tags.some(t => details.tags.includes(t)))
+        && (partsOfSpeech.length === 0 || partsOfSpeech.includes(details.partOfSpeech));
+  }
+
+  function getWordsBySelection(selection) {
+    return getWords().filter(w => matchesSelection(w, selection));
+  }
+
+  /**
+   * 선택 조건 설명 (예: "식당 + 교통 · 동사 · #N5")
+   */
+  function describeSelection(selection) {
+    const { categoryIds, tags, partsOfSpeech } = normalizeSelection(selection);
+    return [
+      categoryIds.map(id => getCategoryById(id)?.name || '삭제된 카테고리').join(' + '),
+      partsOfSpeech.join(' + '),
+      tags.map(t => `#${t}`).join(' '),
+    ].filter(Boolean).join(' · ');
+  }
+
+  /**
+   * 화면 표시용 이름 (프리셋 이름 → 조건 설명)
+   */
+  function getSelectionLabel(selection) {
+    if (!selection) return '맞춤 학습';
+    return selection.name || describeSelection(selection) || '맞춤 학습';
+  }
+
+  // ── 맞춤 학습 프리셋 ──────────────────────────────────
+
+  function getPresets() {
+    return Storage.getPresets();
+  }
+
+  function getPresetById(id) {
+    return getPresets().find(p => p.id === id) || null;
+  }
+
+  /**
+   * 현재 선택 조건을 이름 붙여 저장
+   * @param {string} name
+   * @param {object} selection - { categoryIds, tags, partsOfSpeech }
+   */
+  function addPreset(name, selection) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) return { ok: false, error: '프리셋 이름을 입력해주세요.' };
+    if (isEmptySelection(selection)) {
+      return { ok: false, error: '카테고리, 품사, 태그 중 하나 이상 선택해주세요.' };
+    }
+
+    const presets = getPresets();
+    if (presets.some(p => p.name === trimmed)) {
+      return { ok: false, error: '이미 존재하는 프리셋입니다.' };
+    }
+
+    const { categoryIds, tags, partsOfSpeech } = normalizeSelection(selection);
+    const preset = {
+      id:        generateId(),
+      name:      trimmed,
+      categoryIds,
+      tags,
+      partsOfSpeech,
+      createdAt: today(),
+    };
+    Storage.setPresets([...presets, preset]);
+    return { ok: true, preset };
+  }
+
+  function deletePreset(id) {
+    const presets = getPresets();
+    if (!presets.some(p => p.id === id)) return { ok: false, error: '프리셋을 찾을 수 없습니다.' };
+    Storage.setPresets(presets.filter(p => p.id !== id));
+    return { ok: true };
+  }
+
   // ── 학습 기록 ─────────────────────────────────────────
 
   function getStudyLog() {
     return Storage.getStudyLog();
   }
 
+  const STUDY_TIME_CAP_MS = 60 * 1000; // 카드 하나 응답 시간 상한 (자리 비움 보정)
+
   /**
    * 오늘 학습 기록 업데이트
+   * 학습 대상(카테고리 / 맞춤 학습 조건)은 세션마다 sessions[]에 기록한다.
    * @param {number} count      - 학습한 단어 수
    * @param {string} categoryId - 학습한 카테고리 ID ('all' = 전체 혼합)
+   * @param {object} review     - 이번 답의 복습 이벤트 (세션별 상세 기록용, 생략 가능)
+   * @param {object} selection  - 맞춤 학습(categoryId 'custom')의 선택 조건 (생략 가능)
    */
-  function recordStudy(count, categoryId) {
+  function recordStudy(count, categoryId, review = null, selection = null) {
     const log = getStudyLog();
     const key = today();
-    const prev = log[key] || { count: 0, categoryId };
+    const prev = log[key] || { count: 0 };
+    const sessions = prev.sessions || [];
     log[key] = {
-      count:      prev.count + count,
-      categoryId: prev.categoryId || categoryId,
+      count:    prev.count + count,
+      goal:     Storage.getSettings().dailyGoal, // 그날의 목표 (연속 학습 판정용)
+      sessions: review ? addToSessionDetail(sessions, categoryId, count, review, selection) : sessions,
     };
     Storage.setStudyLog(log);
   }
 
+  /**
+   * 학습 기록에서 1개 빼기 (학습 중 되돌리기)
+   * 0개가 되면 그날 기록을 지운다.
+   * @param {string} dateStr - 답했던 날 (YYYY-MM-DD)
+   * @param {object} review  - 되돌리는 답의 복습 이벤트 (세션별 상세에서도 뺌, 생략 가능)
+   */
+  function unrecordStudy(dateStr, review = null) {
+    const log = getStudyLog();
+    if (!log[dateStr]) return;
+    const count = log[dateStr].count - 1;
+    if (count > 0) {
+      const sessions = log[dateStr].sessions || [];
+      log[dateStr] = {
+        ...log[dateStr],
+        count,
+        sessions: review ? addToSessionDetail(sessions, null, -1, review) : sessions,
+      };
+    } else {
+      delete log[dateStr];
+    }
+    Storage.setStudyLog(log);
+  }
+
+  /**
+   * 세션별 상세에 답 하나를 더하거나(count > 0) 빼기(count < 0)
+   * 카드 수가 0이 된 세션은 목록에서 제거
+   * @returns {object[]} 새 세션 목록 { id, categoryId, selection?, mode, count, correct, timeMs, startedAt, endedAt }
+   */
+  function addToSessionDetail(sessions, categoryId, count, review, selection = null) {
+    const sign = Math.sign(count);
+    const next = sessions.map(s => ({ ...s }));
+    let detail = next.find(s => s.id === review.sessionId);
+    if (!detail) {
+      if (sign < 0) return next;
+      detail = {
+        id:         review.sessionId,
+        categoryId,
+        ...(selection && { selection }),
+        mode:       review.mode,
+        count:      0,
+        correct:    0,
+        timeMs:     0,
+        startedAt:  review.timestamp,
+        endedAt:    review.timestamp,
+      };
+      next.push(detail);
+    }
+
+    detail.count   += count;
+    detail.correct += review.correct ? sign : 0;
+    detail.timeMs  += sign * Math.min(review.responseMs || 0, STUDY_TIME_CAP_MS);
+    if (sign > 0) detail.endedAt = review.timestamp;
+
+    return next.filter(s => s.count > 0);
+  }
+
+  /**
+   * 하루 학습 상세 (캘린더 날짜 패널용)
+   * 세션 정보는 학습 기록에서, 단어별 정답/오답은 복습 이벤트에서 가져온다.
+   * 세션 상세가 없는 예전 기록은 복습 이벤트만으로 세션을 구성한다.
+   * @param {string} dateStr - YYYY-MM-DD
+   * @returns {{ date, count, timeMs, sessions: object[], wrongWordIds: string[] }}
+   *   sessions[i].words: { word, wrong } 배열 (삭제된 단어 제외)
+   */
+  function getDayDetail(dateStr) {
+    const entry   = getStudyLog()[dateStr] || { count: 0 };
+    const reviews = getReviewsByDate(dateStr);
+
+    const sessions = (entry.sessions || []).map(s => ({ ...s }));
+    reviews.forEach(e => {
+      if (sessions.some(s => s.id === e.sessionId)) return;
+      const legacy = reviews.filter(r => r.sessionId === e.sessionId);
+      sessions.push({
+        id:         e.sessionId,
+        categoryId: null,
+        mode:       e.mode,
+        count:      legacy.length,
+        correct:    legacy.filter(r => r.correct).length,
+        timeMs:     legacy.reduce((sum, r) => sum + Math.min(r.responseMs || 0, STUDY_TIME_CAP_MS), 0),
+        startedAt:  e.timestamp,
+        endedAt:    legacy[legacy.length - 1].timestamp,
+      });
+    });
+
+    // 같은 세션에서 한 번이라도 틀린 단어는 오답
+    sessions.forEach(s => {
+      const wrongById = new Map();
+      reviews
+        .filter(e => e.sessionId === s.id)
+        .forEach(e => wrongById.set(e.wordId, wrongById.get(e.wordId) || !e.correct));
+      s.words = [...wrongById]
+        .map(([wordId, wrong]) => ({ word: getWordById(wordId), wrong }))
+        .filter(w => w.word);
+    });
+    sessions.sort((a, b) => (a.startedAt || '').localeCompare(b.startedAt || ''));
+
+    const wrongWordIds = [...new Set(reviews.filter(e => !e.correct).map(e => e.wordId))]
+      .filter(id => getWordById(id));
+
+    return {
+      date:   dateStr,
+      count:  entry.count || 0,
+      timeMs: sessions.reduce((sum, s) => sum + s.timeMs, 0),
+      sessions,
+      wrongWordIds,
+    };
+  }
+
   function getTodayStudyCount() {
     const log = getStudyLog();
     return (log[today()] || { count: 0 }).count;
   }
 
+  /**
+   * 오늘 하루 목표 진행 상황 (오늘 모든 세션 합계, 목표는 현재 설정값)
+   * @returns {{ count: number, goal: number, remaining: number, percent: number, met: boolean }}
+   */
+  function getTodayGoalProgress() {
+    const count = getTodayStudyCount();
+    const goal  = Storage.getSettings().dailyGoal;
+    return {
+      count,
+      goal,
+      remaining: Math.max(0, goal - count),
+      percent:   Math.min(100, Math.round((count / goal) * 100)),
+      met:       count >= goal,
+    };
+  }
+
+  // ── 복습 이벤트 기록 ──────────────────────────────────
+
+  function getReviewLog() {
+    return Storage.getReviewLog();
+  }
+
+  /**
+   * 카드 하나의 답변 기록 추가
+   * quiz.js에서 답할 때마다 호출
+   * @param {string}  wordId
+   * @param {boolean} correct    - 정답 여부
+   * @param {string}  grade      - 'again' | 'hard' | 'good' | 'easy'
+   * @param {number}  responseMs - 카드 표시부터 답변까지 걸린 시간 (ms)
+   * @param {string}  sessionId  - 학습 세션 ID
+   * @param {string}  mode       - 학습 방식 ('flip' | 'typing' | 'choice' | 'listening')
+   * @param {string}  direction  - 학습 방향 ('jp-ko' | 'ko-jp')
+   */
+  function recordReview({ wordId, correct, grade, responseMs, sessionId, mode, direction = 'jp-ko' }) {
+    const event = {
+      id:         generateId(),
+      wordId,
+      timestamp:  new Date().toISOString(),
+      date:       today(),
+      correct:    !!correct,
+      grade,
+      responseMs: Math.max(0, Math.round(responseMs || 0)),
+      sessionId,
+      mode,
+      direction,
+    };
+    Storage.addReview(event);
+    return event;
+  }
+
+  function removeReview(id) {
+    return Storage.deleteReview(id);
+  }
+
+  /**
+   * 단어별 복습 이력 (오래된 순)
+   */
+  function getReviewsByWord(wordId) {
+    return getReviewLog().filter(e => e.wordId === wordId);
+  }
+
+  /**
+   * 날짜별 복습 이력 (오래된 순)
+   * @param {string} dateStr - YYYY-MM-DD
+   */
+  function getReviewsByDate(dateStr) {
+    return getReviewLog().filter(e => e.date === dateStr);
+  }
+
+  /**
+   * 세션별 복습 이력 (오래된 순)
+   */
+  function getReviewsBySession(sessionId) {
+    return getReviewLog().filter(e => e.sessionId === sessionId);
+  }
+
+  // ── 연속 학습 (스트릭) ────────────────────────────────
+
+  const FREEZE_EARN_DAYS = 7; // 목표 달성 N일마다 프리즈 1개 적립
+
+  /**
+   * 그날 학습량이 하루 목표(dailyGoal)를 채웠는지
+   * 기록에 남은 그날의 목표를 우선, 없으면(구버전 기록) 현재 설정값으로 판단
+   */
+  function isGoalMet(entry, settings = Storage.getSettings()) {
+    if (!entry) return false;
+    return entry.count >= (entry.goal ?? settings.dailyGoal);
+  }
+
+  /**
+   * 연속 학습 계산
+   * - 목표를 채운 날만 연속 일수에 포함
+   * - 목표 달성 FREEZE_EARN_DAYS일마다 프리즈 1개 적립 (최대 streakFreezeMax개)
+   * - 목표를 못 채운 날은 프리즈가 있으면 자동으로 1개 써서 연속 유지 (일수는 늘지 않음)
+   * - 오늘은 아직 진행 중이므로 못 채워도 끊기지 않음
+   * @returns {{ current: number, longest: number, freezes: number, frozenDates: string[], todayDone: boolean }}
+   */
+  function getStreak() {
+    const log       = getStudyLog();
+    const settings  = Storage.getSettings();
+    const todayStr  = today();
+    const maxFreeze = settings.streakFreezeMax;
+    const metDates  = Object.keys(log).filter(d => isGoalMet(log[d], settings)).sort();
+
+    const result = { current: 0, longest: 0, freezes: 0, frozenDates: [], todayDone: false };
+    if (metDates.length === 0) return result;
+
+    let earnProgress = 0;
+    for (let d = metDates[0]; d <= todayStr; d = DateUtil.addDays(d, 1)) {
+      if (isGoalMet(log[d], settings)) {
+        result.current += 1;
+        result.longest = Math.max(result.longest, result.current);
+        earnProgress += 1;
+        if (earnProgress >= FREEZE_EARN_DAYS) {
+          earnProgress = 0;
+          result.freezes = Math.min(maxFreeze, result.freezes + 1);
+        }
+      } else if (d === todayStr) {
+        break; // 오늘은 아직 진행 중
+      } else if (result.current > 0 && result.freezes > 0) {
+        result.freezes -= 1;
+        result.frozenDates.push(d);
+      } else {
+        result.current = 0;
+        earnProgress   = 0;
+      }
+    }
+
+    result.todayDone = isGoalMet(log[todayStr], settings);
+    return result;
+  }
+
   // ── 통계 ──────────────────────────────────────────────
 
+  /**
+   * 읽기 / 듣기 정답률
+   * 듣기 모드('listening') 답변은 듣기, 나머지 방식은 모두 읽기로 집계한다.
+   * @returns {{ reading: object, listening: object }} 각각 { total, correct, rate } (rate: 0~100, 기록 없으면 null)
+   */
+  function getAccuracyBySkill() {
+    const accuracy = {
+      reading:   { total: 0, correct: 0, rate: null },
+      listening: { total: 0, correct: 0, rate: null },
+    };
+
+    getReviewLog().forEach(e => {
+      const skill = accuracy[e.mode === 'listening' ? 'listening' : 'reading'];
+      skill.total += 1;
+      if (e.correct) skill.correct += 1;
+    });
+
+    Object.values(accuracy).forEach(skill => {
+      if (skill.total > 0) skill.rate = Math.round((skill.correct / skill.total) * 100);
+    });
+    return accuracy;
+  }
+
   function getStats() {
     const words = getWords();
     const categories = getCategories();
     return {
       totalWords:    words.length,
       totalCategories: categories.length,
-      wrongWords:    words.filter(w => w.wrongCount > 0).length,
+      wrongWords:    words.filter(w => getWrongCount(w) > 0).length,
+      dueWords:      getDueWords().length,
       todayCount:    getTodayStudyCount(),
+      accuracy:      getAccuracyBySkill(),
+      streak:        getStreak(),
     };
   }
 
@@ -304,6 +1095,7 @@ const Data = (() => {
   return {
     // 초기화
     initDefaultCategories,
+    migrateWords,
 
     // 카테고리
     getCategories,
@@ -312,27 +1104,79 @@ const Data = (() => {
     deleteCategory,
     renameCategory,
 
+    // 학습 방향
+    DIRECTIONS,
+    getProgress,
+    getWrongCount,
+
     // 단어
     getWords,
     getWordsByCategory,
     getWrongWords,
+    getDueWords,
+    getNewLearnedTodayCount,
     getWordById,
     addWord,
     updateWord,
     deleteWord,
     bulkAddWords,
 
+    // 중복 단어
+    DUPLICATE_POLICIES,
+    isSameWord,
+    findDuplicate,
+    findDuplicateGroups,
+    mergeWords,
+    mergeAllDuplicates,
+
+    // 단어 부가 정보
+    PARTS_OF_SPEECH,
+    getWordDetails,
+    hasWordDetails,
+    getAllTags,
+    getAllPartsOfSpeech,
+
+    // 맞춤 학습
+    normalizeSelection,
+    isEmptySelection,
+    getWordsBySelection,
+    describeSelection,
+    getSelectionLabel,
+    getPresets,
+    getPresetById,
+    addPreset,
+    deletePreset,
+
     // 정답/오답
     markCorrect,
     markWrong,
+    restoreProgress,
 
     // 학습 기록
     getStudyLog,
     recordStudy,
+    unrecordStudy,
     getTodayStudyCount,
+    getTodayGoalProgress,
+
+    // 복습 이벤트 기록
+    getReviewLog,
+    recordReview,
+    removeReview,
+    getReviewsByWord,
+    getReviewsByDate,
+    getReviewsBySession,
+    getDayDetail,
 
     // 통계
     getStats,
+    getAccuracyBySkill,
+    getStreak,
+    isGoalMet,
+
+    // 유틸
+    generateId,
+    today,
   };
 
 })();
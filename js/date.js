@@ -0,0 +1,96 @@
+/**
+ * date.js
+ * 학습일(YYYY-MM-DD) 계산 전담 모듈
+ * storage.js에 의존한다. (하루 시작 시각 설정)
+ *
+ * ── 학습일 기준 ──────────────────────────────────────────
+ *
+ * - 기기의 로컬 시간대 기준 (UTC 아님)
+ *   → 한국/일본에서 오전 9시 전에 공부해도 전날로 기록되지 않음
+ * - 설정의 dayStartHour(0~23시) 전까지는 전날로 본다
+ *   예) dayStartHour = 4 → 새벽 3시 50분 학습은 전날 기록
+ * - 학습 기록, 잔디 캘린더, 연속 학습, 하루 단어 선택이 모두 today()를 쓴다
+ *
+ * ── 날짜 계산 ────────────────────────────────────────────
+ *
+ * addDays / daysBetween 은 YYYY-MM-DD 문자열끼리의 달력 계산이라
+ * 시간대나 서머타임의 영향을 받지 않는다.
+ */
+
+const DateUtil = (() => {
+
+  const MS_PER_HOUR = 60 * 60 * 1000;
+  const MS_PER_DAY  = 24 * MS_PER_HOUR;
+
+  // ── 학습일 ────────────────────────────────────────────
+
+  /**
+   * 하루 시작 시각 (0~23, 설정값이 이상하면 0)
+   */
+  function getDayStartHour() {
+    const hour = Number(Storage.getSettings().dayStartHour);
+    return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : 0;
+  }
+
+  /**
+   * 시각(now)이 속한 학습일
+   * @param {Date} now - 기본: 현재 시각
+   * @returns {string} YYYY-MM-DD
+   */
+  function today(now = new Date()) {
+    const shifted = new Date(now.getTime() - getDayStartHour() * MS_PER_HOUR);
+    return toDateString(shifted);
+  }
+
+  // ── 변환 ──────────────────────────────────────────────
+
+  /**
+   * Date → 로컬 날짜 문자열 (하루 시작 시각은 적용하지 않음)
+   * @returns {string} YYYY-MM-DD
+   */
+  function toDateString(date) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+  }
+
+  /**
+   * 날짜 문자열 → 그날 로컬 0시 Date
+   */
+  function parse(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+
+  // ── 날짜 계산 ─────────────────────────────────────────
+
+  /**
+   * YYYY-MM-DD 문자열에 n일 더하기
+   */
+  function addDays(dateStr, n) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + n);
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * 두 날짜 사이 일수 (to - from)
+   */
+  function daysBetween(from, to) {
+    const diff = new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`);
+    return Math.round(diff / MS_PER_DAY);
+  }
+
+  // ── public API ────────────────────────────────────────
+
+  return {
+    getDayStartHour,
+    today,
+    toDateString,
+    parse,
+    addDays,
+    daysBetween,
+  };
+
+})();
@@ -0,0 +1,188 @@
+/**
+ * deck.js
+ * 기본 단어장(단어장 라이브러리) 불러오기 / 가져오기 모듈
+ * data.js에 의존한다.
+ *
+ * ── 단어장 파일 (decks/) ─────────────────────────────────
+ *
+ * decks/index.json  : 단어장 목록 { decks: [{ id, file, name, description, wordCount, categories }] }
+ * decks/<file>.json : 단어장 본문
+ *
+ * {
+ *   "id": "travel-phrases",
+ *   "name": "여행 필수 표현",
+ *   "description": "...",
+ *   "version": 1,
+ *   "tags": ["여행"],                         ← 모든 단어에 붙는 태그
+ *   "groups": [
+ *     {
+ *       "category": "식당",                   ← 추천 카테고리 (가져올 때 바꿀 수 있음)
+ *       "words": [
+ *         { "japanese": "水をください", "furigana": "みずをください", "korean": "물 주세요",
+ *           "partOfSpeech": "표현", "examples": [], "tags": [] }
+ *       ]
+ *     }
+ *   ]
+ * }
+ *
+ * 서비스 워커가 단어장 파일을 미리 캐시하므로 오프라인에서도 불러올 수 있다.
+ *
+ * ── 가져오기 규칙 ────────────────────────────────────────
+ *
+ * - 그룹마다 넣을 카테고리를 고름 (기존 카테고리 또는 그룹 이름으로 새 카테고리)
+ * - 같은 단어(Data.findDuplicate)가 이미 있으면 건너뜀 → 다시 가져와도 중복되지 않음
+ */
+
+const Deck = (() => {
+
+  const DECK_DIR = 'decks/';
+
+  // 한 번 불러온 파일은 메모리에 보관 (미리 보기 → 가져오기 사이 재요청 방지)
+  let deckList = null;
+  const deckCache = {};
+
+  // ── 불러오기 ──────────────────────────────────────────
+
+  /**
+   * 단어장 목록
+   * @returns {Promise<{ ok: boolean, decks?: object[], error?: string }>}
+   */
+  async function listDecks() {
+    if (deckList) return { ok: true, decks: deckList };
+    try {
+      const data = await fetchJSON('index.json');
+      if (!Array.isArray(data.decks)) throw new Error('목록 형식 오류');
+      deckList = data.decks;
+      return { ok: true, decks: deckList };
+    } catch (e) {
+      console.warn('[Deck] 단어장 목록 불러오기 실패', e);
+      return { ok: false, error: '단어장 목록을 불러오지 못했습니다. 인터넷 연결을 확인해주세요.' };
+    }
+  }
+
+  /**
+   * 단어장 본문
+   * @param {string} id - 단어장 ID
+   * @returns {Promise<{ ok: boolean, deck?: object, error?: string }>}
+   */
+  async function loadDeck(id) {
+    if (deckCache[id]) return { ok: true, deck: deckCache[id] };
+
+    const listed = await listDecks();
+    if (!listed.ok) return listed;
+    const entry = listed.decks.find(d => d.id === id);
+    if (!entry) return { ok: false, error: '단어장을 찾을 수 없습니다.' };
+
+    try {
+      const deck = await fetchJSON(entry.file);
+      if (!Array.isArray(deck.groups)) throw new Error('단어장 형식 오류');
+      deckCache[id] = deck;
+      return { ok: true, deck };
+    } catch (e) {
+      console.warn('[Deck] 단어장 불러오기 실패', e);
+      return { ok: false, error: '단어장을 불러오지 못했습니다. 인터넷 연결을 확인해주세요.' };
+    }
+  }
+
+  async function fetchJSON(file) {
+    const res = await fetch(DECK_DIR + file);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+  }
+
+  // ── 미리 보기 ─────────────────────────────────────────
+
+  /**
+   * 그룹별 단어와 이미 있는 단어 표시
+   * @returns {{ groups: { category, words: { word, exists }[], newCount }[], total, newCount }}
+   */
+  function previewDeck(deck) {
+    const seen   = []; // 단어장 안에서 겹치는 단어도 한 번만
+    const groups = deck.groups.map(group => {
+      const words = (group.words || []).map(word => {
+        const exists = seen.some(w => Data.isSameWord(w, word))
+          || !!Data.findDuplicate(word.japanese, word.furigana);
+        seen.push(word);
+        return { word, exists };
+      });
+      return {
+        category: group.category,
+        words,
+        newCount: words.filter(w => !w.exists).length,
+      };
+    });
+
+    return {
+      groups,
+      total:    groups.reduce((sum, g) => sum + g.words.length, 0),
+      newCount: groups.reduce((sum, g) => sum + g.newCount, 0),
+    };
+  }
+
+  // ── 가져오기 ──────────────────────────────────────────
+
+  /**
+   * 단어장을 고른 카테고리로 가져오기
+   * @param {object} deck
+   * @param {object} targets - 그룹 카테고리 이름 → 카테고리 ID (없거나 null이면 그 이름으로 새로 만들거나 같은 이름 카테고리 사용)
+   * @returns {{ ok: boolean, added: number, skipped: number, errors: string[] }}
+   */
+  function importDeck(deck, targets = {}) {
+    const results = { ok: true, added: 0, skipped: 0, errors: [] };
+    const deckTags = deck.tags || [];
+
+    deck.groups.forEach(group => {
+      const categoryId = resolveCategory(group.category, targets[group.category]);
+      if (!categoryId.ok) {
+        results.errors.push(`${group.category}: ${categoryId.error}`);
+        return;
+      }
+
+      (group.words || []).forEach(word => {
+        const result = Data.addWord({
+          japanese:     word.japanese || '',
+          furigana:     word.furigana || '',
+          korean:       word.korean   || '',
+          categoryId:   categoryId.id,
+          partOfSpeech: word.partOfSpeech || '',
+          examples:     word.examples || [],
+          notes:        word.notes || '',
+          tags:         [...deckTags, ...(word.tags || [])],
+        }, { onDuplicate: 'skip' });
+        if (result.skipped) {
+          results.skipped++;
+        } else if (result.ok) {
+          results.added++;
+        } else {
+          results.errors.push(`${word.japanese || '(빈 단어)'}: ${result.error}`);
+        }
+      });
+    });
+
+    return results;
+  }
+
+  /**
+   * 그룹을 넣을 카테고리 ID
+   * 고른 카테고리가 없으면 그룹 이름과 같은 카테고리, 그것도 없으면 새로 만든다.
+   */
+  function resolveCategory(name, categoryId) {
+    if (categoryId && Data.getCategoryById(categoryId)) return { ok: true, id: categoryId };
+
+    const existing = Data.getCategories().find(c => c.name === name);
+    if (existing) return { ok: true, id: existing.id };
+
+    const result = Data.addCategory(name || '');
+    return result.ok ? { ok: true, id: result.category.id } : { ok: false, error: result.error };
+  }
+
+  // ── public API ────────────────────────────────────────
+
+  return {
+    listDecks,
+    loadDeck,
+    previewDeck,
+    importDeck,
+  };
+
+})();
@@ -0,0 +1,268 @@
+/**
+ * kana.js
+ * 로마자 → 히라가나 변환 및 일본어 답안 비교 모듈
+ * 다른 모듈에 의존하지 않는 순수 함수 모음이다.
+ *
+ * ── 로마자 변환 규칙 ─────────────────────────────────────
+ *
+ * - 헵번식 / 훈령식 모두 허용 (shi = si, chi = ti, tsu = tu, fu = hu ...)
+ * - 같은 자음 두 번 → っ (kitte → きって, matcha → まっちゃ)
+ * - n 뒤에 모음/y가 오지 않으면 ん (kanji → かんじ)
+ *   nn 뒤에 모음이 오면 첫 n만 ん (konnichiha → こんにちは)
+ *   nn 뒤에 y가 오면 ん + や행 (honnya → ほんや)
+ *   n' 로 명시 가능 (hon'ya → ほんや, kin'en → きんえん, kon'nyaku → こんにゃく)
+ * - x / l 접두사는 작은 글자 (xtu → っ, lya → ゃ)
+ * - '-' 는 장음 ー
+ *
+ * ── 답안 비교 (normalize) ────────────────────────────────
+ *
+ * 전각/반각 통일 → 공백·문장부호 제거 (' 는 로마자 변환 뒤에) → 로마자는 히라가나로 →
+ * 가타카나는 히라가나로 → ー 를 앞 글자의 모음으로 →
+ * 장음 표기 통일 (おう → おお, えい → ええ)
+ * 예) コーヒー / こうひい / kouhii 는 모두 같은 답으로 본다.
+ *
+ * n(n) + y 는 ん + や행 / (ん +) にゃ행 두 가지로 읽힐 수 있어서
+ * isMatch 는 입력을 양쪽으로 모두 변환해 보고 하나라도 맞으면 정답으로 본다.
+ * 예) 禁煙(きんえん) = kin'en
+ *     本屋(ほんや) = honya / hon'ya / honnya
+ *     こんにゃく = konnyaku / kon'nyaku
+ */
+
+const Kana = (() => {
+
+  // ── 로마자 표 ─────────────────────────────────────────
+
+  const ROMAJI = {
+    a: 'あ', i: 'い', u: 'う', e: 'え', o: 'お',
+
+    ka: 'か', ki: 'き', ku: 'く', ke: 'け', ko: 'こ',
+    sa: 'さ', si: 'し', su: 'す', se: 'せ', so: 'そ', shi: 'し',
+    ta: 'た', ti: 'ち', tu: 'つ', te: 'て', to: 'と', chi: 'ち', tsu: 'つ',
+    na: 'な', ni: 'に', nu: 'ぬ', ne: 'ね', no: 'の',
+    ha: 'は', hi: 'ひ', hu: 'ふ', he: 'へ', ho: 'ほ', fu: 'ふ',
+    ma: 'ま', mi: 'み', mu: 'む', me: 'め', mo: 'も',
+    ya: 'や', yu: 'ゆ', yo: 'よ', ye: 'いぇ',
+    ra: 'ら', ri: 'り', ru: 'る', re: 'れ', ro: 'ろ',
+    wa: 'わ', wi: 'うぃ', we: 'うぇ', wo: 'を',
+
+    ga: 'が', gi: 'ぎ', gu: 'ぐ', ge: 'げ', go: 'ご',
+    za: 'ざ', zi: 'じ', zu: 'ず', ze: 'ぜ', zo: 'ぞ', ji: 'じ',
+    da: 'だ', di: 'ぢ', du: 'づ', de: 'で', do: 'ど',
+    ba: 'ば', bi: 'び', bu: 'ぶ', be: 'べ', bo: 'ぼ',
+    pa: 'ぱ', pi: 'ぴ', pu: 'ぷ', pe: 'ぺ', po: 'ぽ',
+    va: 'ゔぁ', vi: 'ゔぃ', vu: 'ゔ', ve: 'ゔぇ', vo: 'ゔぉ',
+
+    kya: 'きゃ', kyu: 'きゅ', kyo: 'きょ',
+    sya: 'しゃ', syu: 'しゅ', syo: 'しょ', sha: 'しゃ', shu: 'しゅ', sho: 'しょ', she: 'しぇ',
+    tya: 'ちゃ', tyu: 'ちゅ', tyo: 'ちょ', cha: 'ちゃ', chu: 'ちゅ', cho: 'ちょ', che: 'ちぇ',
+    nya: 'にゃ', nyu: 'にゅ', nyo: 'にょ',
+    hya: 'ひゃ', hyu: 'ひゅ', hyo: 'ひょ',
+    mya: 'みゃ', myu: 'みゅ', myo: 'みょ',
+    rya: 'りゃ', ryu: 'りゅ', ryo: 'りょ',
+    gya: 'ぎゃ', gyu: 'ぎゅ', gyo: 'ぎょ',
+    zya: 'じゃ', zyu: 'じゅ', zyo: 'じょ', ja: 'じゃ', ju: 'じゅ', jo: 'じょ', je: 'じぇ',
+    jya: 'じゃ', jyu: 'じゅ', jyo: 'じょ',
+    dya: 'ぢゃ', dyu: 'ぢゅ', dyo: 'ぢょ',
+    bya: 'びゃ', byu: 'びゅ', byo: 'びょ',
+    pya: 'ぴゃ', pyu: 'ぴゅ', pyo: 'ぴょ',
+
+    fa: 'ふぁ', fi: 'ふぃ', fe: 'ふぇ', fo: 'ふぉ',
+    tsa: 'つぁ', tsi: 'つぃ', tse: 'つぇ', tso: 'つぉ',
+    thi: 'てぃ', thu: 'てゅ', dhi: 'でぃ', dhu: 'でゅ',
+    twu: 'とぅ', dwu: 'どぅ',
+
+    xa: 'ぁ', xi: 'ぃ', xu: 'ぅ', xe: 'ぇ', xo: 'ぉ',
+    la: 'ぁ', li: 'ぃ', lu: 'ぅ', le: 'ぇ', lo: 'ぉ',
+    xya: 'ゃ', xyu: 'ゅ', xyo: 'ょ', lya: 'ゃ', lyu: 'ゅ', lyo: 'ょ',
+    xtu: 'っ', ltu: 'っ', xtsu: 'っ', xwa: 'ゎ', lwa: 'ゎ',
+
+    '-': 'ー',
+  };
+
+  const MAX_KEY_LENGTH = 4;
+  const VOWELS = 'aiueo';
+
+  // ── 로마자 → 히라가나 ─────────────────────────────────
+
+  /**
+   * 로마자를 히라가나로 변환
+   * 로마자가 아닌 글자(가나, 한자 등)는 그대로 둔다.
+   * @param {string}  text
+   * @param {boolean} final - false면 끝에 남은 단독 n을 ん으로 바꾸지 않음 (입력 중 미리보기용)
+   */
+  function toHiragana(text, final = true) {
+    const src = String(text || '').toLowerCase();
+    let out = '';
+    let i = 0;
+
+    while (i < src.length) {
+      const ch   = src[i];
+      const next = src[i + 1];
+
+      // n 처리
+      if (ch === 'n') {
+        if (next === "'" || next === '’') { out += 'ん'; i += 2; continue; }
+        if (next === 'n') {
+          const after = src[i + 2];
+          // nn + 모음 → ん + な행, 그 외(nn + y 포함) → ん 하나
+          if (after && VOWELS.includes(after)) {
+            out += 'ん';
+            i += 1;
+          } else {
+            out += 'ん';
+            i += 2;
+          }
+          continue;
+        }
+        if (next === undefined) {
+          out += final ? 'ん' : 'n';
+          i += 1;
+          continue;
+        }
+        if (!VOWELS.includes(next) && next !== 'y') {
+          out += 'ん';
+          i += 1;
+          continue;
+        }
+      }
+
+      // 촉음: 같은 자음 반복 (kk, tt ...), tch
+      if (isConsonant(ch) && (next === ch || (ch === 't' && next === 'c'))) {
+        out += 'っ';
+        i += 1;
+        continue;
+      }
+
+      // 가장 긴 로마자 조합부터 매칭
+      let matched = false;
+      for (let len = MAX_KEY_LENGTH; len > 0; len--) {
+        const chunk = src.slice(i, i + len);
+        if (ROMAJI[chunk]) {
+          out += ROMAJI[chunk];
+          i += len;
+          matched = true;
+          break;
+        }
+      }
+
+      if (!matched) {
+        out += text[i];
+        i += 1;
+      }
+    }
+
+    return out;
+  }
+
+  function isConsonant(ch) {
+    return /[a-z]/.test(ch) && !VOWELS.includes(ch) && ch !== 'n';
+  }
+
+  // ── 가나 변환 ─────────────────────────────────────────
+
+  /**
+   * 가타카나 → 히라가나 (ァ-ヶ)
+   */
+  function katakanaToHiragana(text) {
+    return String(text || '').replace(/[ァ-ヶ]/g, ch =>
+      String.fromCharCode(ch.charCodeAt(0) - 0x60)
+    );
+  }
+
+  // 히라가나별 모음 (장음 ー 처리용)
+  const VOWEL_ROWS = {
+    'あ': 'あかさたなはまやらわがざだばぱぁゃゎ',
+    'い': 'いきしちにひみりぎじぢびぴぃ',
+    'う': 'うくすつぬふむゆるぐずづぶぷぅゅゔ',
+    'え': 'えけせてねへめれげぜでべぺぇ',
+    'お': 'おこそとのほもよろをごぞどぼぽぉょ',
+  };
+
+  function vowelOf(kana) {
+    return Object.keys(VOWEL_ROWS).find(v => VOWEL_ROWS[v].includes(kana)) || '';
+  }
+
+  /**
+   * ー 를 앞 글자의 모음으로 풀어쓰기 (こー → こお)
+   */
+  function expandLongVowels(hiragana) {
+    let out = '';
+    for (const ch of hiragana) {
+      if (ch === 'ー') {
+        out += vowelOf(out[out.length - 1]) || ch;
+      } else {
+        out += ch;
+      }
+    }
+    return out;
+  }
+
+  // ── 답안 비교 ─────────────────────────────────────────
+
+  /**
+   * 비교용 정규화 문자열
+   */
+  function normalize(text) {
+    let str = String(text || '').normalize('NFKC').toLowerCase();
+    str = str.replace(/[\s・･、。，．,.!?！？~〜「」"()（）]/g, '').replace(/[‘’]/g, "'");
+    // ' 는 n' (ん) 구분에 쓰이므로 로마자 변환 뒤에 지움
+    if (/[a-z]/.test(str)) str = toHiragana(str);
+    str = str.replace(/'/g, '');
+    str = katakanaToHiragana(str);
+    str = expandLongVowels(str);
+    // 장음 표기 통일: お단 + う → お단 + お, え단 + い → え단 + え
+    str = str
+      .replace(new RegExp(`([${VOWEL_ROWS['お']}])う`, 'g'), '$1お')
+      .replace(new RegExp(`([${VOWEL_ROWS['え']}])い`, 'g'), '$1え');
+    return str;
+  }
+
+  const MAX_AMBIGUOUS_NY = 4; // 이보다 많으면 전부 / 하나도 안 바꾼 두 가지만 봄
+
+  /**
+   * n(n) + y 를 달리 읽은 입력 후보
+   * ny → n'y (ん + や행), nny → n'ny (ん + にゃ행)를 자리마다 골라 조합한다.
+   * "honya" → ["honya", "hon'ya"], "konnyaku" → ["konnyaku", "kon'nyaku"]
+   */
+  function readingVariants(text) {
+    const str   = String(text || '').normalize('NFKC').toLowerCase();
+    const parts = str.split(/(n{1,2}(?=y))/);
+    const slots = parts.filter((_, i) => i % 2 === 1);
+    if (slots.length === 0) return [str];
+
+    const build = pick => parts
+      .map((part, i) => (i % 2 === 1 && pick((i - 1) / 2) ? `n'${part.slice(1)}` : part))
+      .join('');
+
+    if (slots.length > MAX_AMBIGUOUS_NY) return [build(() => false), build(() => true)];
+
+    const variants = [];
+    for (let mask = 0; mask < (1 << slots.length); mask++) {
+      variants.push(build(k => (mask >> k) & 1));
+    }
+    return variants;
+  }
+
+  /**
+   * 입력값이 정답 후보 중 하나와 일치하는지
+   * 로마자 n(n) + y 는 두 가지로 읽어 보고 하나라도 맞으면 정답
+   * @param {string}   input   - 사용자가 입력한 답 (로마자 / 가나 / 한자)
+   * @param {string[]} answers - 정답 후보 (일본어, 후리가나 ...)
+   */
+  function isMatch(input, answers) {
+    const inputs = [...new Set(readingVariants(input).map(normalize))].filter(Boolean);
+    if (inputs.length === 0) return false;
+    const targets = answers.filter(Boolean).map(normalize);
+    return inputs.some(str => targets.includes(str));
+  }
+
+  // ── public API ────────────────────────────────────────
+
+  return {
+    toHiragana,
+    katakanaToHiragana,
+    normalize,
+    isMatch,
+  };
+
+})();
@@ -4,15 +4,35 @@
  * - 하루 단어 선택 알고리즘
  * - 오답 알고리즘
  * - 학습 세션 상태 관리
- * data.js에 의존한다.
+ * - 타이핑 모드 정답 판정
+ * - 객관식 모드 보기 생성
+ * data.js, srs.js, kana.js에 의존한다.
  *
  * ── 하루 단어 선택 규칙 ───────────────────────────────────
  *
- * 1. 오답 단어 중 wrongCount 높은 순으로 최대 (dailyGoal - 2)개 선택
- * 2. 나머지를 새 단어(wrongCount === 0)로 채워 총 dailyGoal개 구성
- * 3. 새 단어는 최소 2개 보장
- * 4. "전체 혼합(all)" 선택 시 모든 카테고리에서 위 로직 적용
- * 5. "오답노트(wrong)" 선택 시 오답 단어만으로 구성
+ * 1. 복습 예정 단어(dueDate <= 오늘)를 오래 밀린 순으로 최대 dailyGoal개 선택
+ * 2. 새 단어(한 번도 학습하지 않은 단어)를 등록 순으로 추가
+ *    (하루 newWordsPerDay개 - 오늘 이미 배운 새 단어 수)
+ * 3. "전체 혼합(all)" 선택 시 모든 카테고리에서 위 로직 적용
+ * 4. "오답노트(wrong)" 선택 시 오답 단어만으로 구성
+ * 5. 단어를 직접 지정한 세션(캘린더의 "틀린 단어 다시 학습", categoryId 'retry')은
+ *    복습 예정 / 새 단어 제한 없이 지정한 단어 전부
+ * 6. "맞춤 학습(custom)"은 선택 조건(카테고리 + 태그 + 품사, Data.getWordsBySelection)에
+ *    맞는 단어에 1~2 로직 적용. 선택 조건은 세션 / 학습 기록에 함께 저장
+ * 7. 복습/새 단어/오답 판단은 학습 방향별 진행 상황(Data.getProgress) 기준
+ *
+ * ── 학습 방향 (direction) ────────────────────────────────
+ *
+ * jp-ko : 일본어 → 뜻 (알아보기)
+ * ko-jp : 뜻 → 일본어 (떠올리기)
+ * mixed : 두 방향을 섞되, 한 세션에 같은 단어는 한 방향으로만 출제
+ * 타이핑 모드는 일본어를 직접 쓰는 방식이므로 항상 ko-jp
+ * 듣기 모드는 일본어를 듣고 뜻을 떠올리는 방식이므로 항상 jp-ko
+ *
+ * ── 복습 스케줄 (srs.js) ─────────────────────────────────
+ *
+ * - 맞으면: 간격 1일 → 6일 → interval × ease 로 늘어남
+ * - 틀리면: 내일 다시 복습, ease 감소
  *
  * ── 오답 처리 규칙 ───────────────────────────────────────
  *
@@ -20,6 +40,37 @@
  * - 맞으면: correctStreak += 1
  * - correctStreak >= graduationStreak 이면 오답 졸업
  *   (wrongCount = 0, correctStreak = 0)
+ *
+ * ── 학습 방식 (mode) ─────────────────────────────────────
+ *
+ * flip   : 카드를 뒤집고 다시/어려움/알맞음/쉬움 자기 평가
+ * typing : 한글 뜻을 보고 일본어(로마자/가나)를 직접 입력
+ *          맞으면 good, 틀리면 again 으로 같은 경로(answer)를 탄다
+ * choice : 4지선다. 카드 방향에 따라
+ *          jp-ko → 일본어를 보고 뜻 고르기 / ko-jp → 뜻을 보고 일본어 고르기
+ *          맞으면 good, 틀리면 again
+ * listening : 앞면에 재생 버튼만, 발음만 듣고 뜻을 떠올린 뒤 뒤집어 자기 평가
+ *             복습 이벤트의 mode가 'listening'이라 통계에서 읽기 정답률과 따로 집계
+ *
+ * ── 세션 저장 / 이어하기 ─────────────────────────────────
+ *
+ * - 세션을 시작할 때와 답할 때마다 스냅샷(단어 ID, 현재 위치, 결과)을 저장
+ *   → 새로고침 / 앱 전환 / 하단 탭 이동 후에도 resumeSession()으로 이어서 학습
+ * - 학습 기록(잔디)은 답할 때마다 1개씩 반영 → 중간에 그만둔 세션도 오늘 학습량에 포함
+ * - 세션을 끝까지 마치면 저장된 스냅샷 삭제
+ *
+ * ── 되돌리기 ─────────────────────────────────────────────
+ *
+ * - 답할 때마다 답하기 전 진행 상황(해당 방향)과 복습 이벤트 ID를 undoStack에 쌓음
+ * - undo()는 가장 최근 답부터 하나씩: 진행 상황 복원, 복습 이벤트 삭제,
+ *   학습 기록 1개 차감, results에서 제거 후 이전 카드로 돌아감
+ * - 현재 세션 안에서만 가능 (세션을 새로 시작하면 비워짐)
+ *
+ * ── 객관식 보기 규칙 ─────────────────────────────────────
+ *
+ * - 오답 보기는 정답 단어와 같은 카테고리에서 우선 선택
+ * - 부족하면 다른 카테고리 단어로 채움
+ * - 정답과 뜻이 같은 단어, 화면에 같은 글자로 보이는 보기는 제외
  */
 
 const Quiz = (() => {
@@ -29,25 +80,78 @@ const Quiz = (() => {
 
   let session = null;
 
+  const MODES = ['flip', 'typing', 'choice', 'listening'];
+
+  // 방향이 고정된 학습 방식
+  const FIXED_DIRECTIONS = {
+    typing:    'ko-jp',
+    listening: 'jp-ko',
+  };
+
+  const CARD_DIRECTIONS = ['jp-ko', 'ko-jp', 'mixed'];
+
+  const CHOICE_COUNT = 4; // 객관식 보기 수 (정답 포함)
+
   /**
    * 세션 초기화
-   * @param {string} categoryId - 카테고리 ID | 'all' | 'wrong'
+   * @param {string} categoryId - 카테고리 ID | 'all' | 'wrong' | 'retry' | 'custom'
+   * @param {object} options
+   * @param {string} options.mode      - 학습 방식 (기본: 설정의 studyMode)
+   * @param {string} options.direction - 카드 방향 (기본: 설정의 cardDirection)
+   * @param {string[]} options.wordIds - 이 단어들로만 세션 구성 (캘린더의 "틀린 단어 다시 학습")
+   * @param {object} options.selection - 맞춤 학습 선택 조건 { categoryIds, tags, partsOfSpeech, name? }
    */
-  function startSession(categoryId) {
-    const words = buildDailyWords(categoryId);
-    if (words.length === 0) {
-      return { ok: false, error: '학습할 단어가 없습니다. 단어를 먼저 등록해주세요.' };
+  function startSession(categoryId, options = {}) {
+    const settings  = Storage.getSettings();
+    const requested = options.mode || settings.studyMode;
+    const mode      = MODES.includes(requested) ? requested : 'flip';
+
+    const requestedDirection = options.direction || settings.cardDirection;
+    const direction = FIXED_DIRECTIONS[mode]
+      || (CARD_DIRECTIONS.includes(requestedDirection) ? requestedDirection : 'jp-ko');
+
+    const wordIds   = Array.isArray(options.wordIds) ? options.wordIds : null;
+    const selection = categoryId === 'custom' ? Data.normalizeSelection(options.selection) : null;
+    if (selection && Data.isEmptySelection(selection)) {
+      return { ok: false, error: '카테고리, 품사, 태그 중 하나 이상 선택해주세요.' };
+    }
+
+    const items = wordIds
+      ? buildListWords(wordIds, direction)
+      : buildDailyWords(categoryId, direction, selection);
+    if (items.length === 0) {
+      if (wordIds) return { ok: false, error: '학습할 단어가 없습니다. (삭제된 단어일 수 있습니다)' };
+      const hasWords = getCandidateWords(categoryId, selection).length > 0;
+      return {
+        ok: false,
+        error: hasWords
+          ? '오늘 복습할 단어를 모두 학습했습니다. 내일 다시 만나요!'
+          : selection
+            ? '조건에 맞는 단어가 없습니다.'
+            : '학습할 단어가 없습니다. 단어를 먼저 등록해주세요.',
+      };
     }
 
     session = {
+      id:           Data.generateId(),
+      mode,            // 학습 방식 ('flip' | 'typing' | 'choice' | 'listening')
       categoryId,
-      words,           // 오늘 학습할 단어 배열
+      selection,       // 맞춤 학습 선택 조건, 아니면 null
+      direction,       // 선택한 카드 방향 ('jp-ko' | 'ko-jp' | 'mixed')
+      sourceWordIds: wordIds, // 단어를 직접 지정한 세션이면 그 목록 (다시 학습용), 아니면 null
+      words:      items.map(i => i.word),      // 오늘 학습할 단어 배열
+      directions: items.map(i => i.direction), // 카드별 방향 ('jp-ko' | 'ko-jp')
+      // 객관식: 카드별 보기 (단어 ID 배열), 다른 모드는 null
+      choices: mode === 'choice' ? items.map(i => buildChoices(i.word, i.direction)) : null,
       currentIndex: 0, // 현재 카드 인덱스
-      results: [],     // { wordId, correct } 배열
+      results: [],     // { wordId, correct, grade, direction } 배열
+      undoStack: [],   // { wordId, direction, progress, reviewId, date } 배열 (되돌리기용)
       isFlipped: false,
       startedAt: new Date().toISOString(),
+      cardShownAt: Date.now(), // 현재 카드가 화면에 표시된 시각 (응답 시간 계산용)
     };
 
+    persistSession();
     return { ok: true, session };
   }
 
@@ -55,58 +159,271 @@ const Quiz = (() => {
     return session;
   }
 
+  /**
+   * 메모리의 세션만 비움 (저장된 스냅샷은 이어하기용으로 남김)
+   */
   function clearSession() {
     session = null;
   }
 
+  // ── 세션 저장 / 이어하기 ──────────────────────────────
+
+  /**
+   * 현재 세션 스냅샷 저장 (단어는 ID로만)
+   */
+  function persistSession() {
+    if (!session) return;
+    Storage.setActiveSession({
+      id:           session.id,
+      mode:         session.mode,
+      categoryId:   session.categoryId,
+      selection:    session.selection,
+      direction:    session.direction,
+      sourceWordIds: session.sourceWordIds,
+      wordIds:      session.words.map(w => w.id),
+      directions:   session.directions,
+      choices:      session.choices,
+      currentIndex: session.currentIndex,
+      results:      session.results,
+      undoStack:    session.undoStack,
+      startedAt:    session.startedAt,
+      savedAt:      new Date().toISOString(),
+    });
+  }
+
+  /**
+   * 이어서 학습할 수 있는 세션 요약 (홈 화면 안내용)
+   * @returns {{ categoryId, selection, mode, direction, current, total, savedAt } | null}
+   */
+  function getSavedSession() {
+    const saved = Storage.getActiveSession();
+    if (!saved || !Array.isArray(saved.wordIds)) return null;
+    if (saved.currentIndex >= saved.wordIds.length) return null;
+    return {
+      categoryId: saved.categoryId,
+      selection:  saved.selection || null,
+      mode:       saved.mode,
+      direction:  saved.direction,
+      current:    saved.currentIndex,
+      total:      saved.wordIds.length,
+      savedAt:    saved.savedAt,
+    };
+  }
+
+  /**
+   * 저장된 세션 복원
+   * 그사이 삭제된 단어는 카드 / 답한 기록 / 되돌리기 기록에서 모두 뺀다.
+   * 예전 스냅샷처럼 카드별 방향이나 객관식 보기가 없으면 다시 채운다.
+   * @returns {{ ok: boolean, error?: string, session?: object }}
+   */
+  function resumeSession() {
+    const saved = Storage.getActiveSession();
+    if (!saved || !Array.isArray(saved.wordIds)) {
+      return { ok: false, error: '이어서 학습할 세션이 없습니다.' };
+    }
+
+    const mode       = MODES.includes(saved.mode) ? saved.mode : 'flip';
+    const defaultDir = Data.DIRECTIONS.includes(saved.direction) ? saved.direction : Data.DIRECTIONS[0];
+    const savedDirs  = Array.isArray(saved.directions) ? saved.directions : [];
+    const exists     = id => !!Data.getWordById(id);
+
+    // 존재하는 단어만 남기고, 카드별 배열(방향 / 보기)도 같은 순서로 맞춤
+    const keep  = saved.wordIds.map(exists);
+    const pick  = arr => arr.filter((_, i) => keep[i]);
+    const words = pick(saved.wordIds).map(id => Data.getWordById(id));
+    const directions   = pick(saved.wordIds.map((_, i) => savedDirs[i] || defaultDir));
+    const currentIndex = keep.slice(0, saved.currentIndex).filter(Boolean).length;
+
+    if (currentIndex >= words.length) {
+      Storage.clearActiveSession();
+      return { ok: false, error: '남은 카드가 없습니다. 새로 학습을 시작해주세요.' };
+    }
+
+    let choices = null;
+    if (mode === 'choice') {
+      choices = Array.isArray(saved.choices)
+        ? pick(saved.wordIds.map((_, i) => saved.choices[i] || null))
+        : words.map((word, i) => buildChoices(word, directions[i]));
+    }
+
+    session = {
+      id:           saved.id,
+      mode,
+      categoryId:   saved.categoryId,
+      selection:    saved.selection || null,
+      direction:    saved.direction,
+      sourceWordIds: saved.sourceWordIds || null,
+      words,
+      directions,
+      choices,
+      currentIndex,
+      results:      (saved.results || []).filter(r => exists(r.wordId)),
+      undoStack:    (saved.undoStack || []).filter(u => exists(u.wordId)),
+      isFlipped:    false,
+      startedAt:    saved.startedAt,
+      cardShownAt:  Date.now(),
+    };
+
+    persistSession();
+    return { ok: true, session };
+  }
+
+  /**
+   * 저장된 세션 버리기 (이미 답한 기록은 그대로 유지)
+   */
+  function discardSavedSession() {
+    return Storage.clearActiveSession();
+  }
+
   // ── 하루 단어 선택 ────────────────────────────────────
 
   /**
-   * 카테고리에 맞는 오늘의 단어 배열 생성
+   * 카테고리에 맞는 오늘의 카드 배열 생성
+   * @param {string} categoryId
+   * @param {string} direction - 'jp-ko' | 'ko-jp' | 'mixed'
+   * @param {object} selection - 맞춤 학습 선택 조건 (categoryId 'custom'일 때)
+   * @returns {{ word: object, direction: string }[]}
    */
-  function buildDailyWords(categoryId) {
+  function buildDailyWords(categoryId, direction, selection = null) {
     const settings   = Storage.getSettings();
     const dailyGoal  = settings.dailyGoal;
-    const maxWrong   = dailyGoal - 2; // 오답 최대 (새 단어 최소 2개 보장)
     const isOrdered  = settings.cardOrder === 'ordered';
+    const todayStr   = Data.today();
+    const directions = direction === 'mixed' ? Data.DIRECTIONS : [direction];
+    const byCreated  = (a, b) => a.word.createdAt.localeCompare(b.word.createdAt);
 
-    let allWords;
+    // 단어 × 방향 조합 (mixed면 단어당 2장 후보)
+    const toItems = words => words.flatMap(word =>
+      directions.map(d => ({ word, direction: d, progress: Data.getProgress(word, d) }))
+    );
 
     if (categoryId === 'wrong') {
-      // 오답노트: 오답 단어만
-      const wrongWords = Data.getWrongWords().slice(0, dailyGoal);
-      return isOrdered ? wrongWords : shuffle(wrongWords);
-    } else if (categoryId === 'all') {
-      allWords = Data.getWords();
-    } else {
-      allWords = Data.getWordsByCategory(categoryId);
+      // 오답노트: 해당 방향에서 틀린 카드만, 많이 틀린 순
+      const wrongItems = toItems(Data.getWrongWords())
+        .filter(i => i.progress.wrongCount >= 1)
+        .sort((a, b) => b.progress.wrongCount - a.progress.wrongCount);
+      const picked = uniqueByWord(wrongItems).slice(0, dailyGoal);
+      return stripProgress(isOrdered ? picked : shuffle(picked));
     }
 
-    if (isOrdered) {
-      // 순서대로: 등록 순서 그대로 dailyGoal개
-      return allWords
-        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
-        .slice(0, dailyGoal);
-    }
+    const allItems = toItems(getCandidateWords(categoryId, selection));
+
+    // 복습 예정 카드: 오래 밀린 순, 같은 날이면 어려운(ease 낮은) 순
+    const dueItems = uniqueByWord(allItems
+      .filter(i => SRS.isDue(i.progress, todayStr))
+      .sort((a, b) => a.progress.dueDate.localeCompare(b.progress.dueDate) || a.progress.ease - b.progress.ease)
+    ).slice(0, dailyGoal);
+    const dueIds = new Set(dueItems.map(i => i.word.id));
+
+    // 새 카드: 하루 제한에서 오늘 이미 배운 수를 뺀 만큼
+    // (mixed에서 두 방향 모두 새 카드면 섞은 뒤 등록 순 정렬로 방향을 무작위 선택)
+    const newLimit = Math.max(0, settings.newWordsPerDay - Data.getNewLearnedTodayCount());
+    const newItems = uniqueByWord(shuffle(allItems)
+      .filter(i => SRS.isNew(i.progress) && !dueIds.has(i.word.id))
+      .sort(byCreated)
+    ).slice(0, newLimit);
+
+    const selected = [...dueItems, ...newItems];
 
-    // 랜덤: 기존 오답 우선 알고리즘
-    const wrongWords = allWords
-      .filter(w => w.wrongCount >= 1)
-      .sort((a, b) => b.wrongCount - a.wrongCount)
-      .slice(0, maxWrong);
+    // 순서대로: 등록 순서 그대로 / 랜덤: 섞어서
+    return stripProgress(isOrdered ? selected.sort(byCreated) : shuffle(selected));
+  }
 
-    const wrongIds = new Set(wrongWords.map(w => w.id));
-    const newWords = allWords
-      .filter(w => w.wrongCount === 0 && !wrongIds.has(w.id))
-      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  /**
+   * 지정한 단어 목록으로 카드 배열 생성 (복습 예정 / 새 단어 제한 없이 전부)
+   * 삭제된 단어는 제외, mixed면 단어마다 방향을 무작위로
+   * @param {string[]} wordIds
+   * @param {string}   direction - 'jp-ko' | 'ko-jp' | 'mixed'
+   */
+  function buildListWords(wordIds, direction) {
+    const isOrdered = Storage.getSettings().cardOrder === 'ordered';
+    const items = [...new Set(wordIds)]
+      .map(id => Data.getWordById(id))
+      .filter(Boolean)
+      .map(word => ({
+        word,
+        direction: direction === 'mixed' ? shuffle(Data.DIRECTIONS)[0] : direction,
+      }));
+    return isOrdered ? items : shuffle(items);
+  }
 
-    const newCount = dailyGoal - wrongWords.length;
-    const selected = [
-      ...wrongWords,
-      ...newWords.slice(0, newCount),
-    ];
+  /**
+   * 같은 단어는 처음 나온 카드 하나만 남김 (한 세션에 한 방향)
+   */
+  function uniqueByWord(items) {
+    const seen = new Set();
+    return items.filter(i => {
+      if (seen.has(i.word.id)) return false;
+      seen.add(i.word.id);
+      return true;
+    });
+  }
 
-    return shuffle(selected);
+  function stripProgress(items) {
+    return items.map(({ word, direction }) => ({ word, direction }));
+  }
+
+  /**
+   * 카테고리 선택에 해당하는 전체 단어
+   */
+  function getCandidateWords(categoryId, selection = null) {
+    if (categoryId === 'wrong')  return Data.getWrongWords();
+    if (categoryId === 'all')    return Data.getWords();
+    if (categoryId === 'custom') return Data.getWordsBySelection(selection);
+    return Data.getWordsByCategory(categoryId);
+  }
+
+  // ── 객관식 보기 ───────────────────────────────────────
+
+  /**
+   * 정답 단어 + 오답 보기로 섞인 단어 ID 배열 생성
+   * @param {object} word      - 정답 단어
+   * @param {string} direction - 'jp-ko' | 'ko-jp'
+   */
+  function buildChoices(word, direction) {
+    // 보기에 표시되는 글자 기준으로 중복 판단
+    const displayKey = w => direction === 'jp-ko'
+      ? w.korean.trim()
+      : Kana.normalize(w.japanese);
+
+    const usedKeys     = new Set([displayKey(word)]);
+    const usedMeanings = new Set([word.korean.trim()]);
+    const picked       = [];
+
+    const pickFrom = pool => {
+      for (const candidate of shuffle(pool)) {
+        if (picked.length >= CHOICE_COUNT - 1) return;
+        if (candidate.id === word.id) continue;
+
+        const key     = displayKey(candidate);
+        const meaning = candidate.korean.trim();
+        if (usedKeys.has(key) || usedMeanings.has(meaning)) continue;
+
+        usedKeys.add(key);
+        usedMeanings.add(meaning);
+        picked.push(candidate.id);
+      }
+    };
+
+    // 같은 카테고리 → 부족하면 전체 단어
+    pickFrom(Data.getWordsByCategory(word.categoryId));
+    pickFrom(Data.getWords().filter(w => w.categoryId !== word.categoryId));
+
+    return shuffle([word.id, ...picked]);
+  }
+
+  /**
+   * 현재 카드의 객관식 보기 (단어 객체 배열)
+   * @returns {{ direction: string, options: object[] } | null}
+   */
+  function currentChoices() {
+    if (!session || session.mode !== 'choice') return null;
+    const ids = session.choices[session.currentIndex];
+    if (!ids) return null;
+    return {
+      direction: currentDirection(),
+      options:   ids.map(id => Data.getWordById(id)).filter(Boolean),
+    };
   }
 
   /**
@@ -131,6 +448,23 @@ const Quiz = (() => {
     return session.words[session.currentIndex] || null;
   }
 
+  /**
+   * 현재 카드의 방향 ('jp-ko' | 'ko-jp')
+   */
+  function currentDirection() {
+    if (!session) return null;
+    return session.directions[session.currentIndex] || null;
+  }
+
+  /**
+   * 현재 카드가 화면에 표시된 시점 기록
+   * card.js에서 카드를 그린 직후 호출
+   */
+  function markCardShown() {
+    if (!session) return;
+    session.cardShownAt = Date.now();
+  }
+
   /**
    * 카드 뒤집기 상태 토글
    */
@@ -141,29 +475,118 @@ const Quiz = (() => {
   }
 
   /**
-   * 정답 처리 후 다음 카드로
+   * 자기 평가 등급으로 답하고 다음 카드로
+   * 'again'은 오답, 나머지는 정답으로 처리
+   * @param {string} grade - 'again' | 'hard' | 'good' | 'easy'
    */
-  function answerCorrect() {
+  function answer(grade) {
     if (!session) return null;
     const word = currentWord();
     if (!word) return null;
+    if (!SRS.GRADES.includes(grade)) return null;
 
-    Data.markCorrect(word.id);
-    session.results.push({ wordId: word.id, correct: true });
+    const direction = currentDirection();
+    const correct   = grade !== 'again';
+    const before    = Data.getProgress(word, direction);
+    if (correct) {
+      Data.markCorrect(word.id, grade, direction);
+    } else {
+      Data.markWrong(word.id, direction);
+    }
+    session.results.push({ wordId: word.id, correct, grade, direction });
+    const event = Data.recordReview({
+      wordId:     word.id,
+      correct,
+      grade,
+      responseMs: Date.now() - session.cardShownAt,
+      sessionId:  session.id,
+      mode:       session.mode,
+      direction,
+    });
+    Data.recordStudy(1, session.categoryId, event, session.selection);
+    session.undoStack.push({
+      wordId:   word.id,
+      direction,
+      progress: before,
+      reviewId: event.id,
+      date:     event.date,
+    });
     return _next();
   }
 
   /**
-   * 오답 처리 후 다음 카드로
+   * 마지막 답 되돌리기 → 이전 카드로
+   * 여러 번 호출하면 한 단계씩 더 거슬러 올라간다.
+   * @returns {{ ok: boolean, error?: string, index?: number, total?: number }}
    */
-  function answerWrong() {
-    if (!session) return null;
+  function undo() {
+    if (!canUndo()) return { ok: false, error: '되돌릴 답이 없습니다.' };
+
+    const last = session.undoStack[session.undoStack.length - 1];
+    const restored = Data.restoreProgress(last.wordId, last.direction, last.progress);
+    if (!restored.ok) return { ok: false, error: '삭제된 단어라 되돌릴 수 없습니다.' };
+
+    session.undoStack.pop();
+    const review = Data.getReviewLog().find(e => e.id === last.reviewId) || null;
+    Data.removeReview(last.reviewId);
+    Data.unrecordStudy(last.date, review);
+    session.results.pop();
+    session.currentIndex--;
+    session.isFlipped   = false;
+    session.cardShownAt = Date.now();
+
+    persistSession();
+    return { ok: true, index: session.currentIndex, total: session.words.length };
+  }
+
+  function canUndo() {
+    return !!session && session.undoStack.length > 0;
+  }
+
+  /**
+   * 타이핑 모드 답안 제출
+   * 일본어 표기 / 후리가나 중 하나와 일치하면 정답 (로마자·가타카나·장음 표기 차이 허용)
+   * @param {string} input - 사용자가 입력한 답
+   * @returns {{ correct: boolean, word: object, next: object } | null}
+   */
+  function submitTyping(input) {
+    if (!session || session.mode !== 'typing') return null;
     const word = currentWord();
     if (!word) return null;
 
-    Data.markWrong(word.id);
-    session.results.push({ wordId: word.id, correct: false });
-    return _next();
+    const correct = Kana.isMatch(input, [word.japanese, word.furigana]);
+    const next    = answer(correct ? 'good' : 'again');
+    return { correct, word, next };
+  }
+
+  /**
+   * 객관식 답안 제출
+   * @param {string} wordId - 선택한 보기의 단어 ID
+   * @returns {{ correct: boolean, word: object, next: object } | null}
+   */
+  function submitChoice(wordId) {
+    if (!session || session.mode !== 'choice') return null;
+    const word = currentWord();
+    if (!word) return null;
+
+    const correct = wordId === word.id;
+    const next    = answer(correct ? 'good' : 'again');
+    return { correct, word, next };
+  }
+
+  /**
+   * 정답 처리 후 다음 카드로
+   * @param {string} grade - 'hard' | 'good' | 'easy' (기본 good)
+   */
+  function answerCorrect(grade = 'good') {
+    return answer(grade === 'again' ? 'good' : grade);
+  }
+
+  /**
+   * 오답 처리 후 다음 카드로
+   */
+  function answerWrong() {
+    return answer('again');
   }
 
   /**
@@ -175,7 +598,11 @@ const Quiz = (() => {
     session.currentIndex++;
 
     const done = session.currentIndex >= session.words.length;
-    if (done) _finishSession();
+    if (done) {
+      _finishSession();
+    } else {
+      persistSession();
+    }
 
     return {
       done,
@@ -185,11 +612,11 @@ const Quiz = (() => {
   }
 
   /**
-   * 세션 완료 처리 - 학습 기록 저장
+   * 세션 완료 처리 - 이어하기 스냅샷 삭제
+   * (학습 기록은 답할 때마다 이미 반영됨)
    */
   function _finishSession() {
-    const count = session.results.length;
-    Data.recordStudy(count, session.categoryId);
+    Storage.clearActiveSession();
   }
 
   // ── 세션 결과 ─────────────────────────────────────────
@@ -204,6 +631,13 @@ const Quiz = (() => {
     const correct = session.results.filter(r => r.correct).length;
     const wrong   = total - correct;
 
+    // 등급별 개수
+    const grades = Object.fromEntries(SRS.GRADES.map(g => [g, 0]));
+    session.results.forEach(r => {
+      const grade = r.grade || (r.correct ? 'good' : 'again');
+      grades[grade]++;
+    });
+
     // 틀린 단어 상세
     const wrongWords = session.results
       .filter(r => !r.correct)
@@ -214,8 +648,10 @@ const Quiz = (() => {
       total,
       correct,
       wrong,
+      grades,
       wrongWords,
       categoryId: session.categoryId,
+      mode:       session.mode,
     };
   }
 
@@ -244,20 +680,35 @@ const Quiz = (() => {
   // ── public API ────────────────────────────────────────
 
   return {
+    MODES,
+    CARD_DIRECTIONS,
+    FIXED_DIRECTIONS,
+
     // 세션
     startSession,
     getSession,
     clearSession,
+    getSavedSession,
+    resumeSession,
+    discardSavedSession,
 
     // 카드 제어
     currentWord,
+    currentDirection,
+    markCardShown,
     flipCard,
+    answer,
     answerCorrect,
     answerWrong,
+    submitTyping,
+    submitChoice,
+    undo,
+    canUndo,
 
     // 상태 조회
     getProgress,
     getSessionResult,
+    currentChoices,
     isFlipped,
   };
 
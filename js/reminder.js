@@ -0,0 +1,183 @@
+/**
+ * reminder.js
+ * 학습 알림 모듈 (로컬 알림, 서버 없음)
+ * storage.js, date.js, data.js에 의존한다.
+ *
+ * ── 동작 ─────────────────────────────────────────────────
+ *
+ * 설정의 reminderTime(HH:MM)이 지났는데 오늘 목표를 못 채웠으면 알림
+ * - 알림 권한이 있으면: 서비스 워커가 알림을 띄운다 (하루 한 번)
+ *   · 앱이 열려 있을 때  : 알림 시각에 타이머 → 서비스 워커에 확인 요청
+ *   · 앱이 닫혀 있을 때  : 주기적 백그라운드 동기화(periodicSync)를 지원하면
+ *                          브라우저가 서비스 워커를 깨워 확인 (간격은 브라우저가 정함)
+ * - 알림을 쓸 수 없으면 (미지원 / 권한 거부): 앱 안에서 토스트 + 홈 화면 배너
+ *
+ * 오늘 목표 달성 여부와 "오늘 이미 알렸는지"는 서비스 워커가 IndexedDB를 직접 읽어 판단한다.
+ * (알림을 띄운 날짜는 kv의 vocab_reminder에 서비스 워커만 기록)
+ */
+
+const Reminder = (() => {
+
+  const SYNC_TAG        = 'study-reminder';
+  const SYNC_INTERVAL   = 60 * 60 * 1000; // 주기적 동기화 최소 간격 요청 (1시간)
+  const MINUTES_PER_DAY = 24 * 60;
+
+  let timer = null;
+
+  // ── 지원 여부 / 권한 ──────────────────────────────────
+
+  function isSupported() {
+    return 'Notification' in window && 'serviceWorker' in navigator;
+  }
+
+  /**
+   * @returns {'granted' | 'denied' | 'default' | 'unsupported'}
+   */
+  function getPermission() {
+    return isSupported() ? Notification.permission : 'unsupported';
+  }
+
+  function canNotify() {
+    return getPermission() === 'granted';
+  }
+
+  /**
+   * 알림 권한 요청 (버튼 클릭 등 사용자 동작 안에서 호출해야 함)
+   * @returns {Promise<{ ok: boolean, error?: string }>}
+   */
+  async function requestPermission() {
+    if (!isSupported()) {
+      return { ok: false, error: '이 브라우저는 알림을 지원하지 않습니다. 앱 안에서 안내해 드릴게요.' };
+    }
+    try {
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        return { ok: false, error: '알림이 차단되었습니다. 브라우저 설정에서 허용할 수 있습니다.' };
+      }
+      await sync();
+      return { ok: true };
+    } catch (e) {
+      console.warn('[Reminder] 권한 요청 실패', e);
+      return { ok: false, error: '알림 권한을 요청하지 못했습니다.' };
+    }
+  }
+
+  // ── 예약 ──────────────────────────────────────────────
+
+  /**
+   * 설정에 맞춰 알림 예약 갱신 (앱 시작, 설정 저장, 권한 허용 후 호출)
+   */
+  async function sync() {
+    clearTimeout(timer);
+    timer = null;
+
+    const settings = Storage.getSettings();
+    if (settings.reminderEnabled) scheduleNext(settings.reminderTime);
+    await updatePeriodicSync(settings.reminderEnabled && canNotify());
+  }
+
+  /**
+   * 다음 알림 시각까지 타이머 (앱이 열려 있는 동안만 유효)
+   */
+  function scheduleNext(time) {
+    const [hour, minute] = parseTime(time);
+    const now  = new Date();
+    const next = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hour, minute);
+    if (next <= now) next.setDate(next.getDate() + 1);
+
+    timer = setTimeout(() => {
+      fire();
+      scheduleNext(time);
+    }, next - now);
+  }
+
+  /**
+   * 알림 시각 도달: 목표를 못 채웠으면 알림 (알림을 못 쓰면 앱 안 안내)
+   */
+  function fire() {
+    const goal = Data.getTodayGoalProgress();
+    if (goal.met) return;
+
+    if (canNotify()) {
+      // 오늘 이미 알렸는지는 서비스 워커가 판단
+      navigator.serviceWorker.ready
+        .then(reg => reg.active?.postMessage({ type: 'check-reminder' }))
+        .catch(e => console.warn('[Reminder] 서비스 워커 확인 실패', e));
+      return;
+    }
+    App.showToast(getMessage(goal), 'warning');
+    if (App.getCurrentTab() === 'home') App.navigateTo('home');
+  }
+
+  /**
+   * 주기적 백그라운드 동기화 등록 / 해제 (지원하는 브라우저만, 실패해도 무시)
+   */
+  async function updatePeriodicSync(enabled) {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+      const reg = await navigator.serviceWorker.ready;
+      if (!('periodicSync' in reg)) return;
+
+      if (!enabled) {
+        await reg.periodicSync.unregister(SYNC_TAG);
+        return;
+      }
+      const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+      if (status.state !== 'granted') return;
+      await reg.periodicSync.register(SYNC_TAG, { minInterval: SYNC_INTERVAL });
+    } catch (e) {
+      console.warn('[Reminder] 주기적 동기화를 사용할 수 없습니다.', e);
+    }
+  }
+
+  // ── 앱 안 안내 (알림 대체) ────────────────────────────
+
+  /**
+   * 홈 화면 안내 배너를 보여줄지
+   * 알림을 쓸 수 없고, 알림 시각이 지났고, 오늘 목표를 못 채운 경우
+   */
+  function shouldShowBanner(now = new Date()) {
+    const settings = Storage.getSettings();
+    if (!settings.reminderEnabled || canNotify()) return false;
+    if (!isPastReminderTime(now, settings)) return false;
+    return !Data.getTodayGoalProgress().met;
+  }
+
+  function getMessage(goal = Data.getTodayGoalProgress()) {
+    return `⏰ 학습할 시간이에요! 오늘 목표까지 ${goal.remaining}개 남았어요.`;
+  }
+
+  // ── 유틸 ──────────────────────────────────────────────
+
+  /**
+   * 'HH:MM' → [시, 분] (형식이 이상하면 20:00)
+   */
+  function parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    if (!match) return [20, 0];
+    return [Math.min(23, Number(match[1])), Math.min(59, Number(match[2]))];
+  }
+
+  /**
+   * 오늘 학습일 안에서 알림 시각이 지났는지
+   * 하루 시작 시각(dayStartHour) 기준으로 비교 → 새벽 1시도 전날 20시 이후로 봄
+   */
+  function isPastReminderTime(now, settings) {
+    const [hour, minute] = parseTime(settings.reminderTime);
+    const dayStart = DateUtil.getDayStartHour() * 60;
+    const sinceDayStart = m => (m - dayStart + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    return sinceDayStart(now.getHours() * 60 + now.getMinutes()) >= sinceDayStart(hour * 60 + minute);
+  }
+
+  // ── public API ────────────────────────────────────────
+
+  return {
+    isSupported,
+    getPermission,
+    requestPermission,
+    sync,
+    shouldShowBanner,
+    getMessage,
+  };
+
+})();
@@ -1,14 +1,21 @@
 /**
  * settings.js
  * 설정 / 단어 관리 UI 모듈
- * data.js, csv.js, storage.js에 의존한다.
+ * data.js, csv.js, deck.js, storage.js에 의존한다.
  *
  * ── 화면 구조 ────────────────────────────────────────────
  *
  * #settings-tab
  *   .settings-section                  ← 단어 관리
  *     .word-input-form                 ← 단어 하나씩 입력
+ *       details#word-details-form      ← 부가 정보 (품사 · 예문 · 메모 · 태그)
  *     .csv-upload-area                 ← CSV 대량 업로드
+ *     #csv-preview                     ← CSV 미리 보기 (열 매핑 · 기본 카테고리 · 행별 오류 · 이미 있는 단어 처리)
+ *   .settings-section#deck-library     ← 단어장 라이브러리 (기본 단어장 미리 보기 / 가져오기)
+ *     #deck-list
+ *     #deck-preview
+ *   .settings-section                  ← 단어 목록
+ *     #duplicate-tool                  ← 중복 단어 묶음 / 합치기
  *     .word-list                       ← 등록된 단어 목록
  *   .settings-section                  ← 카테고리 관리
  *     .category-list                   ← 카테고리 목록
@@ -20,6 +27,7 @@
  *     input#input-import-json (hidden)
  *   .settings-section                  ← 학습 설정
  *     input#setting-daily-goal
+ *     input#setting-new-words
  *     input#setting-graduation-streak
  *     input#setting-grass-1
  *     input#setting-grass-2
@@ -31,6 +39,18 @@ const Settings = (() => {
   let els = {};
   // 단어 목록 필터 상태
   let filterCategoryId = 'all';
+  // 미리 보기 중인 단어장 ID
+  let previewDeckId = null;
+  // 중복 단어 묶음 펼침 여부
+  let duplicatesOpen = false;
+  // 가져오기 전 CSV / Anki 미리 보기 상태
+  // { source, fileName, bytes, encoding, delimiter, collection, notetypeId,
+  //   records, lines, hasHeader, mapping, defaultCategoryId, onDuplicate }
+  // source 'csv': bytes로 다시 파싱 가능, 'anki': .apkg면 collection에서 노트 타입 선택 가능
+  let csvImport = null;
+
+  // 미리 보기에 보여 줄 최대 행 수
+  const CSV_PREVIEW_LIMIT = 100;
 
   // ── 초기화 ────────────────────────────────────────────
 
@@ -48,16 +68,30 @@ const Settings = (() => {
       inputFurigana:  document.getElementById('input-furigana'),
       inputKorean:    document.getElementById('input-korean'),
       selectCategory: document.getElementById('select-category'),
+      detailsForm:    document.getElementById('word-details-form'),
+      inputPos:       document.getElementById('input-pos'),
+      posOptions:     document.getElementById('pos-options'),
+      exampleList:    document.getElementById('example-list'),
+      btnAddExample:  document.getElementById('btn-add-example'),
+      inputNotes:     document.getElementById('input-notes'),
+      inputTags:      document.getElementById('input-tags'),
       btnAddWord:     document.getElementById('btn-add-word'),
       wordFormMsg:    document.getElementById('word-form-msg'),
 
       // CSV 업로드
       inputCSV:       document.getElementById('input-csv'),
+      csvPreview:     document.getElementById('csv-preview'),
       btnUploadCSV:   document.getElementById('btn-upload-csv'),
       csvMsg:         document.getElementById('csv-msg'),
 
+      // 단어장 라이브러리
+      deckList:       document.getElementById('deck-list'),
+      deckPreview:    document.getElementById('deck-preview'),
+      deckMsg:        document.getElementById('deck-msg'),
+
       // 단어 목록
       wordListFilter: document.getElementById('word-list-filter'),
+      duplicateTool:  document.getElementById('duplicate-tool'),
       wordList:       document.getElementById('word-list'),
 
       // 카테고리 관리
@@ -71,11 +105,27 @@ const Settings = (() => {
       btnImportJSON:  document.getElementById('btn-import-json'),
       inputImportJSON:document.getElementById('input-import-json'),
       btnExportCSV:   document.getElementById('btn-export-csv'),
+      btnImportAnki:  document.getElementById('btn-import-anki'),
+      inputImportAnki:document.getElementById('input-import-anki'),
+      btnExportAnki:  document.getElementById('btn-export-anki'),
+      ankiPreview:    document.getElementById('anki-preview'),
+      ankiMsg:        document.getElementById('anki-msg'),
 
       // 학습 설정
       settingDailyGoal:        document.getElementById('setting-daily-goal'),
+      settingNewWords:         document.getElementById('setting-new-words'),
       settingGraduationStreak: document.getElementById('setting-graduation-streak'),
+      settingDayStart:         document.getElementById('setting-day-start'),
+      settingStreakFreeze:     document.getElementById('setting-streak-freeze'),
       settingCardOrder:        document.getElementById('setting-card-order'),
+      settingTtsAutoPlay:      document.getElementById('setting-tts-autoplay'),
+      settingTtsRate:          document.getElementById('setting-tts-rate'),
+      settingReminder:         document.getElementById('setting-reminder'),
+      settingReminderTime:     document.getElementById('setting-reminder-time'),
+      reminderStatus:          document.getElementById('reminder-status'),
+      btnReminderPermission:   document.getElementById('btn-reminder-permission'),
+      settingGrassMode:        document.getElementById('setting-grass-mode'),
+      grassCountSettings:      document.getElementById('grass-count-settings'),
       settingGrass1:           document.getElementById('setting-grass-1'),
       settingGrass2:           document.getElementById('setting-grass-2'),
       settingGrass3:           document.getElementById('setting-grass-3'),
@@ -86,6 +136,10 @@ const Settings = (() => {
 
   function renderAll() {
     renderCategoryOptions();
+    renderPosOptions();
+    if (csvImport) renderCSVPreview();
+    renderDeckList();
+    if (previewDeckId) renderDeckPreview(previewDeckId);
     renderWordListFilter();
     renderWordList();
     renderCategoryList();
@@ -95,12 +149,31 @@ const Settings = (() => {
   // ── 이벤트 바인딩 ─────────────────────────────────────
 
   function bindEvents() {
-    // 단어 추가
-    els.btnAddWord?.addEventListener('click', handleAddWord);
+    // 단어 추가 (수정 모드에서 onclick을 바꿔 끼우므로 on 속성으로 연결)
+    if (els.btnAddWord) els.btnAddWord.onclick = handleAddWord;
+
+    // 예문 행 추가 / 삭제
+    if (els.btnAddExample) els.btnAddExample.onclick = () => addExampleRow();
+    if (els.exampleList) {
+      els.exampleList.onclick = (e) => {
+        e.target.closest('.btn-remove-example')?.closest('.example-row')?.remove();
+      };
+    }
 
     // CSV 업로드
     els.btnUploadCSV?.addEventListener('click', () => els.inputCSV?.click());
     els.inputCSV?.addEventListener('change', handleCSVUpload);
+    if (els.csvPreview) {
+      els.csvPreview.onclick  = handleCSVPreviewClick;
+      els.csvPreview.onchange = handleCSVPreviewChange;
+    }
+
+    // 단어장 라이브러리 (목록 / 미리 보기는 다시 그려지므로 위임)
+    if (els.deckList)    els.deckList.onclick    = handleDeckListClick;
+    if (els.deckPreview) els.deckPreview.onclick = handleDeckPreviewClick;
+
+    // 중복 단어 합치기 (다시 그려지므로 위임)
+    if (els.duplicateTool) els.duplicateTool.onclick = handleDuplicateToolClick;
 
     // 단어 목록 필터
     els.wordListFilter?.addEventListener('change', (e) => {
@@ -117,6 +190,21 @@ const Settings = (() => {
     els.btnImportJSON?.addEventListener('click', () => els.inputImportJSON?.click());
     els.inputImportJSON?.addEventListener('change', handleImportJSON);
 
+    // Anki (init이 탭을 열 때마다 불리므로 on 속성으로 연결)
+    if (els.btnExportAnki)   els.btnExportAnki.onclick    = () => Anki.exportWordsAsAnki();
+    if (els.btnImportAnki)   els.btnImportAnki.onclick    = () => els.inputImportAnki?.click();
+    if (els.inputImportAnki) els.inputImportAnki.onchange = handleAnkiUpload;
+    if (els.ankiPreview) {
+      els.ankiPreview.onclick  = handleCSVPreviewClick;
+      els.ankiPreview.onchange = handleCSVPreviewChange;
+    }
+
+    // 잔디 기준: 단어 수일 때만 단어 수 입력칸 표시
+    if (els.settingGrassMode) els.settingGrassMode.onchange = updateGrassCountVisibility;
+
+    // 학습 알림 권한 요청
+    if (els.btnReminderPermission) els.btnReminderPermission.onclick = handleReminderPermission;
+
     // 설정 저장
     els.btnSaveSettings?.addEventListener('click', handleSaveSettings);
   }
@@ -129,7 +217,18 @@ const Settings = (() => {
     const korean    = els.inputKorean?.value.trim()    || '';
     const categoryId = els.selectCategory?.value       || '';
 
-    const result = Data.addWord({ japanese, furigana, korean, categoryId });
+    const fields = { japanese, furigana, korean, categoryId, ...readDetailsForm() };
+    let result = Data.addWord(fields);
+
+    // 같은 단어가 있으면 그래도 추가할지 확인
+    if (result.duplicate) {
+      const { japanese: jp, furigana: fu, korean: ko } = result.duplicate;
+      if (!confirm(`이미 같은 단어가 있습니다.\n${jp}${fu ? ` (${fu})` : ''} - ${ko}\n\n그래도 추가할까요?`)) {
+        showMsg(els.wordFormMsg, result.error, 'warning');
+        return;
+      }
+      result = Data.addWord(fields, { onDuplicate: 'keep' });
+    }
 
     if (!result.ok) {
       showMsg(els.wordFormMsg, result.error, 'error');
@@ -145,35 +244,526 @@ const Settings = (() => {
     if (els.inputJapanese)  els.inputJapanese.value  = '';
     if (els.inputFurigana)  els.inputFurigana.value  = '';
     if (els.inputKorean)    els.inputKorean.value    = '';
+    fillDetailsForm({ partOfSpeech: '', examples: [], notes: '', tags: [] });
+    if (els.detailsForm) els.detailsForm.open = false;
+  }
+
+  // ── 단어 부가 정보 폼 ─────────────────────────────────
+
+  function renderPosOptions() {
+    if (!els.posOptions) return;
+    els.posOptions.innerHTML = Data.PARTS_OF_SPEECH
+      .map(pos => `<option value="${escapeHTML(pos)}"></option>`)
+      .join('');
+  }
+
+  /**
+   * 예문 입력 행 하나 추가 (일본어 + 한국어)
+   */
+  function addExampleRow(example = { japanese: '', korean: '' }) {
+    if (!els.exampleList) return;
+    const row = document.createElement('div');
+    row.className = 'example-row';
+    row.innerHTML = `
+      <input class="form-input example-japanese" type="text" lang="ja"
+        placeholder="예) ご飯を食べる" autocomplete="off" value="${escapeHTML(example.japanese)}">
+      <input class="form-input example-korean" type="text"
+        placeholder="예) 밥을 먹다" autocomplete="off" value="${escapeHTML(example.korean)}">
+      <button class="btn-remove-example" type="button" title="예문 삭제">✕</button>
+    `;
+    els.exampleList.appendChild(row);
+  }
+
+  /**
+   * 폼의 부가 정보 읽기 (정리는 Data에서)
+   */
+  function readDetailsForm() {
+    const examples = [...(els.exampleList?.querySelectorAll('.example-row') || [])].map(row => ({
+      japanese: row.querySelector('.example-japanese').value,
+      korean:   row.querySelector('.example-korean').value,
+    }));
+    return {
+      partOfSpeech: els.inputPos?.value   || '',
+      examples,
+      notes:        els.inputNotes?.value || '',
+      tags:         els.inputTags?.value  || '',
+    };
+  }
+
+  function fillDetailsForm(details) {
+    if (els.inputPos)    els.inputPos.value   = details.partOfSpeech;
+    if (els.inputNotes)  els.inputNotes.value = details.notes;
+    if (els.inputTags)   els.inputTags.value  = details.tags.join(', ');
+    if (els.exampleList) {
+      els.exampleList.innerHTML = '';
+      details.examples.forEach(ex => addExampleRow(ex));
+    }
   }
 
   // ── CSV 업로드 ────────────────────────────────────────
 
+  /**
+   * CSV 파일 선택 → 바로 저장하지 않고 미리 보기
+   */
   async function handleCSVUpload(e) {
     const file = e.target.files[0];
     if (!file) return;
 
     showMsg(els.csvMsg, '파일을 읽는 중...', 'info');
 
-    const parsed = await CSV.parseCSVFile(file);
-    if (!parsed.ok) {
-      showMsg(els.csvMsg, parsed.error, 'error');
-      els.inputCSV.value = '';
+    const read = await CSV.readCSVFile(file);
+    els.inputCSV.value = '';
+    if (!read.ok) {
+      showMsg(els.csvMsg, read.error, 'error');
       return;
     }
 
-    const { added, errors } = Data.bulkAddWords(parsed.rows);
+    closeCSVPreview();
+    csvImport = {
+      source:            'csv',
+      fileName:          file.name,
+      bytes:             read.bytes,
+      encoding:          read.encoding,
+      delimiter:         read.delimiter,
+      records:           read.records,
+      lines:             read.lines,
+      hasHeader:         read.hasHeader,
+      mapping:           CSV.guessMapping(read.records, read.hasHeader),
+      defaultCategoryId: '',
+      onDuplicate:       'skip',
+    };
+    els.csvMsg?.classList.add('hidden');
+    renderCSVPreview();
+  }
+
+  /**
+   * Anki 파일 선택 → CSV와 같은 미리 보기 (필드 → 열)
+   */
+  async function handleAnkiUpload(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    showMsg(els.ankiMsg, '파일을 읽는 중...', 'info');
+
+    const read = await Anki.readAnkiFile(file);
+    els.inputImportAnki.value = '';
+    if (!read.ok) {
+      showMsg(els.ankiMsg, read.error, 'error');
+      return;
+    }
+
+    closeCSVPreview();
+    csvImport = {
+      source:            'anki',
+      fileName:          file.name,
+      collection:        read.collection || null,
+      notetypeId:        read.notetypeId || null,
+      records:           read.records,
+      hasHeader:         true,
+      mapping:           Anki.guessMapping(read.records),
+      defaultCategoryId: '',
+      onDuplicate:       'skip',
+    };
+    els.ankiMsg?.classList.add('hidden');
+    renderCSVPreview();
+  }
+
+  /**
+   * 지금 미리 보기가 그려지는 곳 (CSV 업로드 / 백업 섹션의 Anki)
+   */
+  function getImportEls() {
+    return csvImport?.source === 'anki'
+      ? { preview: els.ankiPreview, msg: els.ankiMsg }
+      : { preview: els.csvPreview,  msg: els.csvMsg };
+  }
+
+  /**
+   * 현재 매핑으로 변환한 결과 (저장 전)
+   */
+  function mapCSVImport() {
+    const defaultCategory = Data.getCategoryById(csvImport.defaultCategoryId)?.name || '';
+    return CSV.mapRecords(csvImport.records, csvImport.mapping, {
+      hasHeader: csvImport.hasHeader,
+      defaultCategory,
+      lines:     csvImport.lines,
+    });
+  }
+
+  /**
+   * CSV 미리 보기: 열 매핑 + 기본 카테고리 + 행별 상태 + 이미 있는 단어 처리
+   */
+  function renderCSVPreview() {
+    const { preview } = getImportEls();
+    if (!preview || !csvImport) return;
+
+    const { records, hasHeader, mapping } = csvImport;
+    const columnCount = Math.max(0, ...records.map(r => r.length));
+    const header      = hasHeader ? records[0] : [];
+    const sample      = records[hasHeader ? 1 : 0] || [];
+
+    // 열 이름 (헤더가 없으면 첫 행 값) 으로 열 구분
+    const columnOptions = Array.from({ length: columnCount }, (_, i) => {
+      const name = header[i] || sample[i] || '';
+      return { value: i, label: `${i + 1}열${name ? ` · ${name}` : ''}` };
+    });
+
+    const mappingHTML = CSV.FIELDS.map(field => `
+      <label class="csv-map-row">
+        <span class="csv-map-label">${field.label}${field.required ? ' *' : ''}</span>
+        <select class="form-select" data-map="${field.key}">
+          <option value="-1">(없음)</option>
+          ${columnOptions.map(opt => `
+            <option value="${opt.value}" ${mapping[field.key] === opt.value ? 'selected' : ''}>${escapeHTML(opt.label)}</option>
+          `).join('')}
+        </select>
+      </label>
+    `).join('');
+
+    const categoryOptions = Data.getCategories().map(c => `
+      <option value="${c.id}" ${c.id === csvImport.defaultCategoryId ? 'selected' : ''}>${escapeHTML(c.name)}</option>
+    `).join('');
+
+    const mapped = mapCSVImport();
+    let rowsHTML   = '';
+    let summaryHTML = '';
+    let validCount = 0;
+
+    if (mapped.ok) {
+      const items = mapped.items.map(item => ({
+        ...item,
+        exists: !item.error && !!Data.findDuplicate(item.row.japanese, item.row.furigana),
+      }));
+      const errorCount = items.filter(it => it.error).length;
+      const existCount = items.filter(it => it.exists).length;
+      validCount = items.length - errorCount;
+
+      summaryHTML = `
+        전체 ${items.length}행 · 새 단어 <strong>${validCount - existCount}</strong>
+        · 이미 있음 ${existCount} · 오류 ${errorCount}
+        ${errorCount > 0 ? '<br><small>오류가 있는 행은 가져오지 않습니다.</small>' : ''}
+      `;
+      rowsHTML = `
+        <ul class="csv-rows">
+          ${items.slice(0, CSV_PREVIEW_LIMIT).map(({ line, row, error, exists }) => `
+            <li class="csv-row ${error ? 'is-error' : ''} ${exists ? 'is-existing' : ''}">
+              <span class="csv-row-line">${line}</span>
+              <span class="word-japanese">
+                ${row.furigana
+                  ? `<ruby>${escapeHTML(row.japanese)}<rt>${escapeHTML(row.furigana)}</rt></ruby>`
+                  : escapeHTML(row.japanese)}
+              </span>
+              <span class="word-korean">${escapeHTML(row.korean)}</span>
+              ${row.categoryName ? `<span class="word-category-badge">${escapeHTML(row.categoryName)}</span>` : ''}
+              <span class="csv-row-status">${error ? escapeHTML(error) : exists ? '이미 있음' : ''}</span>
+            </li>
+          `).join('')}
+        </ul>
+        ${items.length > CSV_PREVIEW_LIMIT
+          ? `<p class="csv-preview-more">… 외 ${items.length - CSV_PREVIEW_LIMIT}행</p>`
+          : ''}
+      `;
+    } else {
+      summaryHTML = `<span class="csv-preview-error">${escapeHTML(mapped.error)}</span>`;
+    }
+
+    const delimiterLabels = { ',': '쉼표 (,)', '\t': '탭 (TSV)', ';': '세미콜론 (;)' };
+
+    // 원본 읽기 옵션: CSV는 인코딩 / 구분자 / 헤더, .apkg는 노트 타입
+    let sourceHTML = '';
+    if (csvImport.source === 'anki') {
+      const notetypes = csvImport.collection?.notetypes || [];
+      sourceHTML = notetypes.length > 1 ? `
+        <div class="csv-mapping">
+          <label class="csv-map-row">
+            <span class="csv-map-label">노트 타입</span>
+            <select class="form-select" data-field="notetypeId">
+              ${notetypes.map(nt => `
+                <option value="${escapeHTML(nt.id)}" ${nt.id === csvImport.notetypeId ? 'selected' : ''}>${escapeHTML(nt.name)} (${nt.count})</option>
+              `).join('')}
+            </select>
+          </label>
+        </div>
+      ` : '';
+    } else {
+      sourceHTML = `
+      <div class="csv-mapping">
+        <label class="csv-map-row">
+          <span class="csv-map-label">문자 인코딩</span>
+          <select class="form-select" data-field="encoding">
+            ${CSV.ENCODINGS.map(enc => `
+              <option value="${enc.value}" ${enc.value === csvImport.encoding ? 'selected' : ''}>${escapeHTML(enc.label)}</option>
+            `).join('')}
+          </select>
+        </label>
+        <label class="csv-map-row">
+          <span class="csv-map-label">구분자</span>
+          <select class="form-select" data-field="delimiter">
+            ${CSV.DELIMITERS.map(d => `
+              <option value="${escapeHTML(d)}" ${d === csvImport.delimiter ? 'selected' : ''}>${delimiterLabels[d]}</option>
+            `).join('')}
+          </select>
+        </label>
+      </div>
+      <label class="csv-has-header">
+        <input type="checkbox" data-field="hasHeader" ${hasHeader ? 'checked' : ''}>
+        첫 행은 열 이름 (헤더)
+      </label>
+      `;
+    }
+
+    preview.innerHTML = `
+      <p class="csv-preview-title">${csvImport.source === 'anki' ? '🗂' : '📄'} ${escapeHTML(csvImport.fileName)}</p>
+      ${sourceHTML}
+      <div class="csv-mapping">
+        ${mappingHTML}
+        <label class="csv-map-row">
+          <span class="csv-map-label">기본 카테고리</span>
+          <select class="form-select" data-field="defaultCategoryId">
+            <option value="">(없음)</option>
+            ${categoryOptions}
+          </select>
+        </label>
+        <small class="csv-map-hint">카테고리 열이 없거나 비어 있는 행은 기본 카테고리로 넣습니다.</small>
+      </div>
+      <p class="csv-preview-summary">${summaryHTML}</p>
+      ${rowsHTML}
+      <label class="csv-map-row">
+        <span class="csv-map-label">이미 있는 단어</span>
+        <select class="form-select" data-field="onDuplicate">
+          <option value="skip"      ${csvImport.onDuplicate === 'skip'      ? 'selected' : ''}>건너뛰기</option>
+          <option value="overwrite" ${csvImport.onDuplicate === 'overwrite' ? 'selected' : ''}>덮어쓰기 (학습 기록 유지)</option>
+          <option value="keep"      ${csvImport.onDuplicate === 'keep'      ? 'selected' : ''}>둘 다 유지</option>
+        </select>
+      </label>
+      <div class="csv-preview-actions">
+        <button class="btn btn--outline" data-action="cancel">취소</button>
+        <button class="btn btn--primary" data-action="import" ${validCount === 0 ? 'disabled' : ''}>
+          가져오기 (${validCount}행)
+        </button>
+      </div>
+    `;
+    preview.classList.remove('hidden');
+  }
+
+  function handleCSVPreviewChange(e) {
+    const { target } = e;
+    if (!csvImport) return;
+
+    if (target.dataset.map) {
+      csvImport.mapping = { ...csvImport.mapping, [target.dataset.map]: Number(target.value) };
+    } else if (target.dataset.field === 'encoding' || target.dataset.field === 'delimiter') {
+      // 인코딩 / 구분자가 바뀌면 원본 바이트부터 다시 파싱
+      const options = { encoding: csvImport.encoding, delimiter: csvImport.delimiter, [target.dataset.field]: target.value };
+      const parsed  = CSV.parseCSVBytes(csvImport.bytes, options);
+      if (!parsed.ok) {
+        showMsg(getImportEls().msg, parsed.error, 'error');
+        return;
+      }
+      Object.assign(csvImport, {
+        encoding:  parsed.encoding,
+        delimiter: parsed.delimiter,
+        records:   parsed.records,
+        lines:     parsed.lines,
+        hasHeader: parsed.hasHeader,
+        mapping:   CSV.guessMapping(parsed.records, parsed.hasHeader),
+      });
+    } else if (target.dataset.field === 'notetypeId') {
+      // 노트 타입마다 필드가 다르므로 행과 매핑을 새로 만듦
+      csvImport.notetypeId = target.value;
+      csvImport.records    = Anki.collectionToRecords(csvImport.collection, target.value);
+      csvImport.mapping    = Anki.guessMapping(csvImport.records);
+    } else if (target.dataset.field === 'hasHeader') {
+      // 헤더 여부가 바뀌면 열 이름 / 위치 기준으로 매핑을 다시 추측
+      csvImport.hasHeader = target.checked;
+      csvImport.mapping   = CSV.guessMapping(csvImport.records, csvImport.hasHeader);
+    } else if (target.dataset.field) {
+      csvImport[target.dataset.field] = target.value;
+    } else {
+      return;
+    }
+    renderCSVPreview();
+  }
+
+  function handleCSVPreviewClick(e) {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (action === 'cancel') closeCSVPreview();
+    if (action === 'import') handleImportCSV();
+  }
+
+  /**
+   * 미리 보기에서 확인한 뒤에만 저장 (오류 행은 빼고)
+   */
+  function handleImportCSV() {
+    const { msg: msgEl } = getImportEls();
+    const mapped = mapCSVImport();
+    if (!mapped.ok) {
+      showMsg(msgEl, mapped.error, 'error');
+      return;
+    }
+
+    const rows    = mapped.items.filter(item => !item.error).map(item => item.row);
+    const invalid = mapped.items.length - rows.length;
+    const { added, skipped, overwritten, errors } = Data.bulkAddWords(rows, { onDuplicate: csvImport.onDuplicate });
     const msg = `${added}개 단어가 추가되었습니다.` +
+      (skipped > 0     ? ` (이미 있는 ${skipped}개는 건너뜀)` : '') +
+      (overwritten > 0 ? ` (이미 있는 ${overwritten}개는 덮어씀)` : '') +
+      (invalid > 0     ? `\n오류가 있는 ${invalid}행은 가져오지 않았습니다.` : '') +
       (errors.length > 0 ? `\n오류 ${errors.length}건:\n${errors.join('\n')}` : '');
 
-    showMsg(els.csvMsg, msg, errors.length > 0 ? 'warning' : 'success');
-    els.inputCSV.value = '';
+    closeCSVPreview();
     renderAll();
+    showMsg(msgEl, msg, invalid + errors.length > 0 ? 'warning' : 'success');
+  }
+
+  function closeCSVPreview() {
+    csvImport = null;
+    [els.csvPreview, els.ankiPreview].forEach(el => {
+      if (!el) return;
+      el.classList.add('hidden');
+      el.innerHTML = '';
+    });
+  }
+
+  // ── 단어장 라이브러리 ─────────────────────────────────
+
+  async function renderDeckList() {
+    if (!els.deckList) return;
+
+    const result = await Deck.listDecks();
+    if (!result.ok) {
+      els.deckList.innerHTML = `<p class="empty-msg">${escapeHTML(result.error)}</p>`;
+      return;
+    }
+
+    els.deckList.innerHTML = result.decks.map(d => `
+      <div class="deck-item ${d.id === previewDeckId ? 'is-open' : ''}">
+        <div class="deck-item-info">
+          <span class="deck-name">${escapeHTML(d.name)}</span>
+          <span class="deck-desc">${escapeHTML(d.description || '')}</span>
+          <span class="deck-meta">${d.wordCount}개 · ${escapeHTML((d.categories || []).join(', '))}</span>
+        </div>
+        <button class="btn btn--outline btn--sm" data-deck-id="${escapeHTML(d.id)}">미리 보기</button>
+      </div>
+    `).join('');
+  }
+
+  function handleDeckListClick(e) {
+    const btn = e.target.closest('[data-deck-id]');
+    if (!btn) return;
+    previewDeckId = btn.dataset.deckId;
+    renderDeckList();
+    renderDeckPreview(previewDeckId);
+  }
+
+  /**
+   * 단어장 미리 보기: 그룹별 넣을 카테고리 선택 + 단어 목록 (이미 있는 단어 표시)
+   */
+  async function renderDeckPreview(deckId) {
+    if (!els.deckPreview) return;
+
+    const result = await Deck.loadDeck(deckId);
+    if (!result.ok) {
+      showMsg(els.deckMsg, result.error, 'error');
+      closeDeckPreview();
+      return;
+    }
+
+    const { deck } = result;
+    const preview    = Deck.previewDeck(deck);
+    const categories = Data.getCategories();
+
+    const groupHTML = preview.groups.map(group => {
+      const sameName = categories.find(c => c.name === group.category);
+      const options  = [
+        sameName ? '' : `<option value="">새 카테고리: ${escapeHTML(group.category)}</option>`,
+        ...categories.map(c => `
+          <option value="${c.id}" ${c === sameName ? 'selected' : ''}>${escapeHTML(c.name)}</option>
+        `),
+      ].join('');
+
+      return `
+        <div class="deck-group">
+          <div class="deck-group-head">
+            <span class="deck-group-name">${escapeHTML(group.category)}</span>
+            <span class="deck-group-count">새 단어 ${group.newCount} / ${group.words.length}</span>
+            <select class="form-select deck-target" data-group="${escapeHTML(group.category)}">${options}</select>
+          </div>
+          <ul class="deck-words">
+            ${group.words.map(({ word, exists }) => `
+              <li class="deck-word ${exists ? 'is-existing' : ''}">
+                <span class="word-japanese">
+                  ${word.furigana
+                    ? `<ruby>${escapeHTML(word.japanese)}<rt>${escapeHTML(word.furigana)}</rt></ruby>`
+                    : escapeHTML(word.japanese)}
+                </span>
+                <span class="word-korean">${escapeHTML(word.korean)}</span>
+                ${exists ? '<span class="deck-word-exists">이미 있음</span>' : ''}
+              </li>
+            `).join('')}
+          </ul>
+        </div>
+      `;
+    }).join('');
+
+    els.deckPreview.innerHTML = `
+      <p class="deck-preview-title">${escapeHTML(deck.name)}</p>
+      <p class="deck-preview-summary">
+        전체 ${preview.total}개 중 새 단어 <strong>${preview.newCount}</strong>개
+        ${preview.newCount < preview.total ? '(이미 있는 단어는 건너뜀)' : ''}
+      </p>
+      ${groupHTML}
+      <div class="deck-preview-actions">
+        <button class="btn btn--outline" data-action="close">닫기</button>
+        <button class="btn btn--primary" data-action="import" ${preview.newCount === 0 ? 'disabled' : ''}>
+          가져오기 (${preview.newCount}개)
+        </button>
+      </div>
+    `;
+    els.deckPreview.classList.remove('hidden');
+  }
+
+  function handleDeckPreviewClick(e) {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (action === 'close')  closeDeckPreview();
+    if (action === 'import') handleImportDeck();
+  }
+
+  async function handleImportDeck() {
+    const result = await Deck.loadDeck(previewDeckId);
+    if (!result.ok) {
+      showMsg(els.deckMsg, result.error, 'error');
+      return;
+    }
+
+    // 그룹별로 고른 카테고리 (빈 값 = 그룹 이름으로 새 카테고리)
+    const targets = {};
+    els.deckPreview.querySelectorAll('.deck-target').forEach(select => {
+      targets[select.dataset.group] = select.value || null;
+    });
+
+    const { added, skipped, errors } = Deck.importDeck(result.deck, targets);
+    const msg = `${added}개 단어를 가져왔습니다.` +
+      (skipped > 0 ? ` (이미 있는 ${skipped}개는 건너뜀)` : '') +
+      (errors.length > 0 ? `\n오류 ${errors.length}건:\n${errors.join('\n')}` : '');
+
+    closeDeckPreview();
+    renderAll();
+    showMsg(els.deckMsg, msg, errors.length > 0 ? 'warning' : 'success');
+  }
+
+  function closeDeckPreview() {
+    previewDeckId = null;
+    if (els.deckPreview) {
+      els.deckPreview.classList.add('hidden');
+      els.deckPreview.innerHTML = '';
+    }
+    renderDeckList();
   }
 
   // ── 단어 목록 ─────────────────────────────────────────
 
   function renderWordList() {
+    renderDuplicateTool();
     if (!els.wordList) return;
 
     const words = filterCategoryId === 'all'
@@ -187,6 +777,7 @@ const Settings = (() => {
 
     const categories = Data.getCategories();
     const catMap = Object.fromEntries(categories.map(c => [c.id, c.name]));
+    const canSpeak = Speech.isSupported();
 
     els.wordList.innerHTML = words.map(w => `
       <div class="word-item" data-id="${w.id}">
@@ -198,20 +789,30 @@ const Settings = (() => {
           </span>
           <span class="word-korean">${escapeHTML(w.korean)}</span>
           <span class="word-category-badge">${escapeHTML(catMap[w.categoryId] || '')}</span>
+          ${renderWordBadges(w)}
         </div>
         <div class="word-item-meta">
-          ${w.wrongCount > 0
-            ? `<span class="wrong-badge">❌ ${w.wrongCount}회</span>`
+          ${Data.getWrongCount(w) > 0
+            ? `<span class="wrong-badge">❌ ${Data.getWrongCount(w)}회</span>`
             : ''}
         </div>
         <div class="word-item-actions">
+          ${canSpeak
+            ? `<button class="btn-speak-word" data-id="${w.id}" title="발음 듣기">🔊</button>`
+            : ''}
           <button class="btn-edit-word" data-id="${w.id}">수정</button>
           <button class="btn-delete-word" data-id="${w.id}">삭제</button>
         </div>
       </div>
     `).join('');
 
-    // 수정/삭제 이벤트 위임
+    // 발음/수정/삭제 이벤트
+    els.wordList.querySelectorAll('.btn-speak-word').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const result = Speech.speakWord(Data.getWordById(btn.dataset.id));
+        if (!result.ok) App.showToast(result.error, 'warning');
+      });
+    });
     els.wordList.querySelectorAll('.btn-edit-word').forEach(btn => {
       btn.addEventListener('click', () => handleEditWord(btn.dataset.id));
     });
@@ -220,6 +821,100 @@ const Settings = (() => {
     });
   }
 
+  /**
+   * 단어 목록의 품사 / 태그 / 예문 수 표시
+   */
+  function renderWordBadges(word) {
+    const { partOfSpeech, examples, tags } = Data.getWordDetails(word);
+    return [
+      partOfSpeech ? `<span class="word-pos-badge">${escapeHTML(partOfSpeech)}</span>` : '',
+      ...tags.map(t => `<span class="word-tag-badge">#${escapeHTML(t)}</span>`),
+      examples.length > 0 ? `<span class="word-example-count" title="예문">💬 ${examples.length}</span>` : '',
+    ].join('');
+  }
+
+  // ── 중복 단어 합치기 ──────────────────────────────────
+
+  /**
+   * 중복으로 보이는 단어 묶음 (없으면 숨김)
+   */
+  function renderDuplicateTool() {
+    if (!els.duplicateTool) return;
+
+    const groups = Data.findDuplicateGroups();
+    els.duplicateTool.classList.toggle('hidden', groups.length === 0);
+    if (groups.length === 0) {
+      els.duplicateTool.innerHTML = '';
+      return;
+    }
+
+    const catMap = Object.fromEntries(Data.getCategories().map(c => [c.id, c.name]));
+
+    els.duplicateTool.innerHTML = `
+      <div class="duplicate-head">
+        <span class="duplicate-title">⚠️ 중복으로 보이는 단어 ${groups.length}묶음</span>
+        <button class="btn btn--outline btn--sm" data-action="toggle">${duplicatesOpen ? '접기' : '보기'}</button>
+        <button class="btn btn--primary btn--sm" data-action="merge-all">모두 합치기</button>
+      </div>
+      ${duplicatesOpen ? `
+        <p class="duplicate-hint">
+          합치면 먼저 등록한 단어만 남습니다. 뜻 · 예문 · 태그는 모두 모으고, 학습 진행은 덜 익힌 쪽을 남깁니다.
+        </p>
+        <ul class="duplicate-groups">
+          ${groups.map(group => `
+            <li class="duplicate-group">
+              <div class="duplicate-words">
+                ${group.map(w => `
+                  <span class="duplicate-word">
+                    <span class="word-japanese">
+                      ${w.furigana
+                        ? `<ruby>${escapeHTML(w.japanese)}<rt>${escapeHTML(w.furigana)}</rt></ruby>`
+                        : escapeHTML(w.japanese)}
+                    </span>
+                    <span class="word-korean">${escapeHTML(w.korean)}</span>
+                    <span class="word-category-badge">${escapeHTML(catMap[w.categoryId] || '')}</span>
+                  </span>
+                `).join('')}
+              </div>
+              <button class="btn btn--outline btn--sm" data-action="merge" data-ids="${group.map(w => w.id).join(',')}">합치기</button>
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
+    `;
+  }
+
+  function handleDuplicateToolClick(e) {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+
+    if (btn.dataset.action === 'toggle') {
+      duplicatesOpen = !duplicatesOpen;
+      renderDuplicateTool();
+      return;
+    }
+
+    if (btn.dataset.action === 'merge') {
+      const ids = btn.dataset.ids.split(',');
+      if (!confirm(`단어 ${ids.length}개를 하나로 합칠까요?\n먼저 등록한 단어만 남고 나머지는 삭제됩니다.`)) return;
+      const result = Data.mergeWords(ids);
+      if (!result.ok) {
+        App.showToast(result.error, 'warning');
+        return;
+      }
+      App.showToast(`'${result.word.japanese}' 단어 ${result.removed + 1}개를 하나로 합쳤습니다.`, 'success');
+    }
+
+    if (btn.dataset.action === 'merge-all') {
+      const count = Data.findDuplicateGroups().length;
+      if (!confirm(`중복 단어 ${count}묶음을 모두 합칠까요?`)) return;
+      const { groups, removed } = Data.mergeAllDuplicates();
+      App.showToast(`${groups}묶음을 합쳐 단어 ${removed}개를 정리했습니다.`, 'success');
+    }
+
+    renderWordList();
+  }
+
   function handleDeleteWord(id) {
     if (!confirm('이 단어를 삭제할까요?')) return;
     const result = Data.deleteWord(id);
@@ -239,6 +934,8 @@ const Settings = (() => {
     if (els.inputFurigana)  els.inputFurigana.value  = word.furigana;
     if (els.inputKorean)    els.inputKorean.value    = word.korean;
     if (els.selectCategory) els.selectCategory.value = word.categoryId;
+    fillDetailsForm(Data.getWordDetails(word));
+    if (els.detailsForm) els.detailsForm.open = Data.hasWordDetails(word);
 
     // 추가 버튼을 임시로 '수정 저장' 모드로 전환
     if (els.btnAddWord) {
@@ -252,11 +949,25 @@ const Settings = (() => {
   }
 
   function handleSaveEdit(id) {
+    const japanese = els.inputJapanese?.value.trim() || '';
+    const furigana = els.inputFurigana?.value.trim() || '';
+
+    // 고친 표기가 다른 단어와 같아지면 그래도 저장할지 확인
+    const duplicate = japanese && Data.findDuplicate(japanese, furigana, id);
+    if (duplicate) {
+      const { japanese: jp, furigana: fu, korean: ko } = duplicate;
+      if (!confirm(`이미 같은 단어가 있습니다.\n${jp}${fu ? ` (${fu})` : ''} - ${ko}\n\n그래도 저장할까요?`)) {
+        showMsg(els.wordFormMsg, '이미 등록된 단어입니다.', 'warning');
+        return;
+      }
+    }
+
     const result = Data.updateWord(id, {
-      japanese:   els.inputJapanese?.value.trim(),
-      furigana:   els.inputFurigana?.value.trim(),
+      japanese,
+      furigana,
       korean:     els.inputKorean?.value.trim(),
       categoryId: els.selectCategory?.value,
+      ...readDetailsForm(),
     });
 
     if (!result.ok) {
@@ -399,6 +1110,8 @@ const Settings = (() => {
     if (!result.ok) {
       alert(`가져오기 실패: ${result.error}`);
     } else {
+      // 구버전 백업이면 복습 스케줄 구조로 바로 변환 (앱 시작 때만 하던 변환)
+      Data.migrateWords();
       alert('데이터를 성공적으로 복원했습니다.');
       renderAll();
     }
@@ -410,29 +1123,95 @@ const Settings = (() => {
   function renderSettingsValues() {
     const s = Storage.getSettings();
     if (els.settingDailyGoal)        els.settingDailyGoal.value        = s.dailyGoal;
+    if (els.settingNewWords)         els.settingNewWords.value         = s.newWordsPerDay;
     if (els.settingGraduationStreak) els.settingGraduationStreak.value = s.graduationStreak;
+    if (els.settingDayStart)         els.settingDayStart.value         = String(s.dayStartHour);
+    if (els.settingStreakFreeze)     els.settingStreakFreeze.value     = s.streakFreezeMax;
     if (els.settingCardOrder)        els.settingCardOrder.value        = s.cardOrder || 'random';
+    if (els.settingTtsAutoPlay)      els.settingTtsAutoPlay.value      = s.ttsAutoPlay;
+    if (els.settingTtsRate)          els.settingTtsRate.value          = String(s.ttsRate);
+    if (els.settingReminder)         els.settingReminder.value         = s.reminderEnabled ? 'on' : 'off';
+    if (els.settingReminderTime)     els.settingReminderTime.value     = s.reminderTime;
+    if (els.settingGrassMode)        els.settingGrassMode.value        = s.grassMode;
     if (els.settingGrass1)           els.settingGrass1.value           = s.grassLevel1;
     if (els.settingGrass2)           els.settingGrass2.value           = s.grassLevel2;
     if (els.settingGrass3)           els.settingGrass3.value           = s.grassLevel3;
+    updateGrassCountVisibility();
+    renderReminderStatus();
+  }
+
+  function updateGrassCountVisibility() {
+    els.grassCountSettings?.classList.toggle('hidden', els.settingGrassMode?.value === 'goal');
   }
 
   function handleSaveSettings() {
     const dailyGoal        = parseInt(els.settingDailyGoal?.value, 10);
+    const newWordsPerDay   = parseInt(els.settingNewWords?.value, 10);
     const graduationStreak = parseInt(els.settingGraduationStreak?.value, 10);
+    const dayStartHour     = parseInt(els.settingDayStart?.value, 10) || 0;
+    const streakFreezeMax  = parseInt(els.settingStreakFreeze?.value, 10);
     const cardOrder        = els.settingCardOrder?.value || 'random';
+    const ttsAutoPlay      = els.settingTtsAutoPlay?.value || 'off';
+    const ttsRate          = parseFloat(els.settingTtsRate?.value) || 1;
+    const reminderEnabled  = els.settingReminder?.value === 'on';
+    const reminderTime     = els.settingReminderTime?.value || '';
+    const grassMode        = els.settingGrassMode?.value || 'goal';
     const grassLevel1      = parseInt(els.settingGrass1?.value, 10);
     const grassLevel2      = parseInt(els.settingGrass2?.value, 10);
     const grassLevel3      = parseInt(els.settingGrass3?.value, 10);
 
     // 유효성 검사
     if (isNaN(dailyGoal)        || dailyGoal < 1)         return showMsg(els.settingsMsg, '하루 학습 수는 1 이상이어야 합니다.', 'error');
+    if (isNaN(newWordsPerDay)   || newWordsPerDay < 0)    return showMsg(els.settingsMsg, '하루 새 단어 수는 0 이상이어야 합니다.', 'error');
     if (isNaN(graduationStreak) || graduationStreak < 1)  return showMsg(els.settingsMsg, '졸업 기준은 1 이상이어야 합니다.', 'error');
+    if (isNaN(streakFreezeMax)  || streakFreezeMax < 0)   return showMsg(els.settingsMsg, '프리즈 보관 수는 0 이상이어야 합니다.', 'error');
+    if (!/^\d{2}:\d{2}$/.test(reminderTime))              return showMsg(els.settingsMsg, '알림 시각을 입력해주세요.', 'error');
     if (grassLevel1 >= grassLevel2)                       return showMsg(els.settingsMsg, '기본 < 놀람 < 최고 순서여야 합니다.', 'error');
     if (grassLevel2 >= grassLevel3)                       return showMsg(els.settingsMsg, '기본 < 놀람 < 최고 순서여야 합니다.', 'error');
 
-    Storage.setSettings({ dailyGoal, graduationStreak, cardOrder, grassLevel1, grassLevel2, grassLevel3 });
+    // 이 폼에 없는 설정값은 유지
+    Storage.setSettings({
+      ...Storage.getSettings(),
+      dailyGoal, newWordsPerDay, graduationStreak, dayStartHour, streakFreezeMax,
+      cardOrder, ttsAutoPlay, ttsRate,
+      reminderEnabled, reminderTime,
+      grassMode, grassLevel1, grassLevel2, grassLevel3,
+    });
     showMsg(els.settingsMsg, '설정이 저장되었습니다.', 'success');
+
+    // 알림을 켰는데 아직 권한을 묻지 않았으면 지금 요청 (저장 버튼 클릭 안이라 가능)
+    if (reminderEnabled && Reminder.getPermission() === 'default') {
+      handleReminderPermission();
+    } else {
+      Reminder.sync();
+    }
+  }
+
+  // ── 학습 알림 ─────────────────────────────────────────
+
+  /**
+   * 알림 권한 상태 표시 (권한을 아직 묻지 않았을 때만 허용 버튼)
+   */
+  function renderReminderStatus() {
+    const permission = Reminder.getPermission();
+    const messages = {
+      granted:     '✅ 알림이 허용되어 있습니다.',
+      default:     '알림을 받으려면 권한을 허용해주세요.',
+      denied:      '🚫 알림이 차단되어 있어 앱을 열면 화면 안에서 안내합니다.',
+      unsupported: 'ℹ️ 이 브라우저는 알림을 지원하지 않아 앱을 열면 화면 안에서 안내합니다.',
+    };
+    if (els.reminderStatus) els.reminderStatus.textContent = messages[permission];
+    els.btnReminderPermission?.classList.toggle('hidden', permission !== 'default');
+  }
+
+  async function handleReminderPermission() {
+    const result = await Reminder.requestPermission();
+    renderReminderStatus();
+    if (!result.ok) {
+      showMsg(els.settingsMsg, result.error, 'error');
+      return;
+    }
+    showMsg(els.settingsMsg, '알림이 허용되었습니다.', 'success');
   }
 
   // ── 공통 유틸 ─────────────────────────────────────────
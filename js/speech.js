@@ -0,0 +1,114 @@
+/**
+ * speech.js
+ * 일본어 발음 재생 모듈 (Web Speech API - speechSynthesis)
+ * storage.js에 의존한다. (재생 속도 설정)
+ *
+ * ── 동작 ─────────────────────────────────────────────────
+ *
+ * - 후리가나가 있으면 후리가나를, 없으면 일본어 표기를 읽는다
+ *   (한자 읽기를 음성 엔진이 틀리게 추측하지 않도록)
+ * - ja-JP 음성을 우선 사용, 음성 목록은 브라우저가 비동기로 채우므로
+ *   voiceschanged 이벤트 때마다 다시 찾는다
+ *
+ * ── 미지원 환경 ──────────────────────────────────────────
+ *
+ * - speechSynthesis 자체가 없으면 isSupported() = false → 화면에서 버튼을 숨긴다
+ * - 음성 목록은 있는데 일본어 음성이 없으면 speak()가 { ok: false, error }를 반환
+ *   (음성 목록이 아직 비어 있으면 lang만 지정해서 브라우저에 맡긴다)
+ */
+
+const Speech = (() => {
+
+  const LANG = 'ja-JP';
+
+  let voices        = [];
+  let japaneseVoice = null;
+
+  // ── 초기화 ────────────────────────────────────────────
+
+  function isSupported() {
+    return typeof window !== 'undefined'
+      && 'speechSynthesis' in window
+      && 'SpeechSynthesisUtterance' in window;
+  }
+
+  function init() {
+    if (!isSupported()) return;
+    loadVoices();
+    window.speechSynthesis.addEventListener?.('voiceschanged', loadVoices);
+  }
+
+  function loadVoices() {
+    voices = window.speechSynthesis.getVoices() || [];
+    const normalizedLang = v => (v.lang || '').replace('_', '-').toLowerCase();
+    japaneseVoice =
+      voices.find(v => normalizedLang(v) === 'ja-jp') ||
+      voices.find(v => normalizedLang(v).startsWith('ja')) ||
+      null;
+  }
+
+  /**
+   * 일본어 음성이 설치되어 있는지 (음성 목록을 아직 못 받았으면 false)
+   */
+  function hasJapaneseVoice() {
+    return !!japaneseVoice;
+  }
+
+  // ── 재생 ──────────────────────────────────────────────
+
+  /**
+   * 텍스트를 일본어로 읽기
+   * @param {string} text
+   * @param {object} options
+   * @param {number} options.rate - 재생 속도 (기본: 설정의 ttsRate)
+   * @returns {{ ok: boolean, error?: string }}
+   */
+  function speak(text, options = {}) {
+    if (!isSupported()) {
+      return { ok: false, error: '이 브라우저는 음성 재생을 지원하지 않습니다.' };
+    }
+    if (!text) return { ok: false, error: '읽을 내용이 없습니다.' };
+
+    if (voices.length === 0) loadVoices();
+    if (voices.length > 0 && !japaneseVoice) {
+      return {
+        ok: false,
+        error: '일본어 음성이 설치되어 있지 않습니다. 기기 설정에서 일본어 음성(TTS)을 추가해주세요.',
+      };
+    }
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang  = LANG;
+    utterance.rate  = options.rate ?? Storage.getSettings().ttsRate;
+    if (japaneseVoice) utterance.voice = japaneseVoice;
+
+    // 이전 재생이 남아 있으면 끊고 새로 재생
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(utterance);
+    return { ok: true };
+  }
+
+  /**
+   * 단어 발음 재생 (후리가나 우선)
+   */
+  function speakWord(word, options = {}) {
+    if (!word) return { ok: false, error: '읽을 내용이 없습니다.' };
+    return speak(word.furigana || word.japanese, options);
+  }
+
+  function stop() {
+    if (isSupported()) window.speechSynthesis.cancel();
+  }
+
+  // ── public API ────────────────────────────────────────
+
+  return {
+    init,
+    isSupported,
+    hasJapaneseVoice,
+    speak,
+    speakWord,
+    stop,
+  };
+
+})();
@@ -0,0 +1,236 @@
+/**
+ * srs.js
+ * 간격 반복(Spaced Repetition) 스케줄러 모듈
+ * SM-2 알고리즘을 기반으로 단어별 복습 간격 / 난이도 / 다음 복습일을 계산한다.
+ * 날짜 계산(date.js) 외에는 다른 모듈에 의존하지 않는 순수 함수 모음이다.
+ *
+ * ── 단어 스케줄 필드 ─────────────────────────────────────
+ *
+ * interval     : 현재 복습 간격 (일)
+ * ease         : 난이도 계수 (기본 2.5, 최소 1.3)
+ * reps         : 연속 성공 횟수
+ * lapses       : 누적 실패 횟수
+ * dueDate      : 다음 복습일 (YYYY-MM-DD), 새 단어는 null
+ * learnedAt    : 처음 학습한 날 (새 단어 하루 제한 계산용)
+ * lastReviewed : 마지막 복습일, 새 단어는 null
+ * history      : 최근 복습 기록 [{ date, quality, interval }]
+ *
+ * ── 자기 평가 등급 → 품질 점수 ───────────────────────────
+ *
+ * again (다시)  : 1 → 실패
+ * hard  (어려움): 3 → 겨우 기억, ease 크게 감소
+ * good  (알맞음): 4 → 정상 기억
+ * easy  (쉬움)  : 5 → 바로 기억, ease 증가
+ *
+ * ── 품질 점수 (quality, 0~5) ─────────────────────────────
+ *
+ * 0-2 : 실패 → reps = 0, 내일 다시 복습
+ * 3-5 : 성공 → 간격 1일 → 6일 → 이후 interval × ease
+ * ease 는 매 복습마다 quality에 따라 조정된다 (SM-2 공식), 간격은 조정된 ease로 계산
+ *
+ * 성공 등급별 간격 (같은 단어라도 등급마다 다음 복습일이 달라짐)
+ * 3 (hard) : 1일 → 이후 interval × 1.2 (최소 하루는 늘림, good보다 길지 않게)
+ * 4 (good) : 1일 → 6일 → interval × ease
+ * 5 (easy) : 4일 → 8일 → interval × ease × 1.3 (good보다 최소 하루 길게)
+ */
+
+const SRS = (() => {
+
+  const DEFAULT_EASE = 2.5;
+  const MIN_EASE     = 1.3;
+  const HISTORY_MAX  = 30; // 단어별 보관할 최근 복습 기록 수
+  const HARD_FACTOR  = 1.2; // 어려움: 이전 간격에 곱하는 값
+  const EASY_BONUS   = 1.3; // 쉬움: 알맞음 간격에 더 곱하는 값
+
+  const GRADES = ['again', 'hard', 'good', 'easy'];
+
+  const GRADE_QUALITY = {
+    again: 1,
+    hard:  3,
+    good:  4,
+    easy:  5,
+  };
+
+  /**
+   * 자기 평가 등급을 품질 점수로 변환 (알 수 없는 등급은 good 취급)
+   */
+  function gradeToQuality(grade) {
+    return GRADE_QUALITY[grade] ?? GRADE_QUALITY.good;
+  }
+
+  // ── 상태 생성 / 판별 ──────────────────────────────────
+
+  /**
+   * 새 단어의 초기 스케줄 필드
+   */
+  function createState() {
+    return {
+      interval:     0,
+      ease:         DEFAULT_EASE,
+      reps:         0,
+      lapses:       0,
+      dueDate:      null,
+      learnedAt:    null,
+      lastReviewed: null,
+      history:      [],
+    };
+  }
+
+  /**
+   * 한 번도 학습하지 않은 단어인지
+   */
+  function isNew(word) {
+    return !word.lastReviewed;
+  }
+
+  /**
+   * 오늘(today) 복습해야 하는 단어인지
+   * @param {string} today - YYYY-MM-DD
+   */
+  function isDue(word, today) {
+    return !isNew(word) && !!word.dueDate && word.dueDate <= today;
+  }
+
+  // ── 복습 계산 ─────────────────────────────────────────
+
+  /**
+   * 복습 결과를 반영한 새 스케줄 필드 반환 (원본은 수정하지 않음)
+   * @param {object} word    - 현재 스케줄 필드를 가진 단어
+   * @param {number} quality - 0~5
+   * @param {string} today   - YYYY-MM-DD
+   */
+  function review(word, quality, today) {
+    const prev = { ...createState(), ...pickState(word) };
+    const q    = Math.max(0, Math.min(5, quality));
+
+    let { interval, reps, lapses } = prev;
+
+    const ease = Math.max(
+      MIN_EASE,
+      prev.ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+    );
+
+    if (q < 3) {
+      reps     = 0;
+      interval = 1;
+      lapses  += 1;
+    } else {
+      reps += 1;
+      interval = successInterval(prev.interval, reps, ease, q);
+    }
+
+    const history = [...prev.history, { date: today, quality: q, interval }]
+      .slice(-HISTORY_MAX);
+
+    return {
+      interval,
+      ease:         Math.round(ease * 100) / 100,
+      reps,
+      lapses,
+      dueDate:      DateUtil.addDays(today, interval),
+      learnedAt:    prev.learnedAt || today,
+      lastReviewed: today,
+      history,
+    };
+  }
+
+  /**
+   * 성공했을 때의 다음 간격 (일)
+   * @param {number} prevInterval - 이전 간격
+   * @param {number} reps         - 이번 복습을 포함한 연속 성공 횟수
+   * @param {number} ease         - 이번 복습으로 조정된 ease
+   * @param {number} q            - 3 (hard) / 4 (good) / 5 (easy)
+   */
+  function successInterval(prevInterval, reps, ease, q) {
+    let good;
+    if (reps === 1)      good = 1;
+    else if (reps === 2) good = 6;
+    else                 good = Math.max(1, Math.round(prevInterval * ease));
+
+    if (q === 3) {
+      if (reps === 1) return 1;
+      return Math.min(good, Math.max(prevInterval + 1, Math.round(prevInterval * HARD_FACTOR)));
+    }
+    if (q === 5) {
+      if (reps === 1) return 4;
+      if (reps === 2) return 8;
+      return Math.max(good + 1, Math.round(prevInterval * ease * EASY_BONUS));
+    }
+    return good;
+  }
+
+  /**
+   * 등급별로 복습했을 때의 다음 간격(일) 미리보기
+   * @returns {{ again: number, hard: number, good: number, easy: number }}
+   */
+  function previewIntervals(word, today) {
+    return Object.fromEntries(
+      GRADES.map(grade => [grade, review(word, gradeToQuality(grade), today).interval])
+    );
+  }
+
+  /**
+   * 단어 객체에서 스케줄 필드만 추출
+   */
+  function pickState(word) {
+    const state = {};
+    Object.keys(createState()).forEach(key => {
+      if (word[key] !== undefined) state[key] = word[key];
+    });
+    return state;
+  }
+
+  // ── 마이그레이션 ──────────────────────────────────────
+
+  /**
+   * 구버전(wrongCount / correctStreak만 있는) 단어를 스케줄 필드로 변환
+   * - 한 번도 풀지 않은 단어 → 새 단어
+   * - 오답이 있는 단어       → 오늘 바로 복습, 오답 수만큼 ease 감소
+   * - 맞히기만 한 단어       → 연속 정답 수를 reps로 보고 간격 재계산
+   * 이미 변환된 단어(ease 필드 존재)는 그대로 반환
+   */
+  function migrate(word, today) {
+    if (word.ease !== undefined) return word;
+
+    const wrongCount    = word.wrongCount    || 0;
+    const correctStreak = word.correctStreak || 0;
+
+    if (wrongCount === 0 && correctStreak === 0) {
+      return { ...word, ...createState() };
+    }
+
+    let interval = 1;
+    for (let rep = 2; rep <= correctStreak; rep++) {
+      interval = rep === 2 ? 6 : Math.round(interval * DEFAULT_EASE);
+    }
+
+    const reviewedAt = word.createdAt || today;
+    return {
+      ...word,
+      interval,
+      ease:         Math.max(MIN_EASE, DEFAULT_EASE - 0.2 * wrongCount),
+      reps:         correctStreak,
+      lapses:       wrongCount,
+      dueDate:      wrongCount > 0 ? today : DateUtil.addDays(today, interval),
+      learnedAt:    reviewedAt,
+      lastReviewed: reviewedAt,
+      history:      [],
+    };
+  }
+
+  // ── public API ────────────────────────────────────────
+
+  return {
+    DEFAULT_EASE,
+    MIN_EASE,
+    GRADES,
+    gradeToQuality,
+    createState,
+    isNew,
+    isDue,
+    review,
+    previewIntervals,
+    migrate,
+  };
+
+})();
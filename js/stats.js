@@ -0,0 +1,483 @@
+/**
+ * stats.js
+ * 학습 통계 대시보드 (통계 탭)
+ * data.js, srs.js, date.js에 의존한다.
+ *
+ * ── 화면 구조 ────────────────────────────────────────────
+ *
+ * #stats-tab
+ *   #stats-summary     <- 총 답변 수, 전체 정답률, 평균 답변 시간
+ *   #stats-accuracy    <- 최근 30일 일별 정답률 (SVG 꺾은선)
+ *   #stats-forecast    <- 앞으로 14일 복습 예정 카드 수 (SVG 막대)
+ *   #stats-retention   <- 복습 간격별 기억률 (SVG 꺾은선)
+ *   #stats-mastery     <- 카테고리별 숙련도 (막대)
+ *   #stats-hardest     <- 가장 어려운 단어 목록
+ *
+ * ── 계산 기준 ────────────────────────────────────────────
+ *
+ * - 모든 값은 복습 이벤트 기록(reviewLog)과 단어별 진행 상황에서 계산
+ * - 평균 답변 시간 : 60초를 넘는 답변은 자리를 비운 것으로 보고 제외
+ * - 기억률         : 같은 카드(단어 × 방향)를 직전에 복습한 뒤 지난 일수 구간별 정답률
+ * - 숙련           : 어느 방향이든 복습 간격(interval)이 21일 이상인 단어
+ * - 어려운 단어    : 3번 이상 답한 단어 중 틀린 비율이 높은 순
+ * 차트는 외부 라이브러리 없이 SVG 문자열로 그린다.
+ */
+
+const Stats = (() => {
+
+  const ACCURACY_DAYS       = 30;
+  const FORECAST_DAYS       = 14;
+  const MATURE_INTERVAL     = 21;
+  const MAX_RESPONSE_MS     = 60 * 1000;
+  const HARDEST_MIN_REVIEWS = 3;
+  const HARDEST_COUNT       = 10;
+
+  // 기억률 구간 (직전 복습 후 지난 일수)
+  const RETENTION_BUCKETS = [
+    { label: '1일',   min: 0,  max: 1 },
+    { label: '2-3일', min: 2,  max: 3 },
+    { label: '4-7일', min: 4,  max: 7 },
+    { label: '1-2주', min: 8,  max: 14 },
+    { label: '2-4주', min: 15, max: 30 },
+    { label: '1달+',  min: 31, max: Infinity },
+  ];
+
+  // 차트 크기 (viewBox 기준, 실제 크기는 CSS로 가로폭에 맞춤)
+  const CHART = { width: 320, height: 140, top: 12, right: 8, bottom: 22, left: 30 };
+
+  // ── DOM 참조 ──────────────────────────────────────────
+
+  let els = {};
+
+  function initElements() {
+    els = {
+      summary:   document.getElementById('stats-summary'),
+      accuracy:  document.getElementById('stats-accuracy'),
+      forecast:  document.getElementById('stats-forecast'),
+      retention: document.getElementById('stats-retention'),
+      mastery:   document.getElementById('stats-mastery'),
+      hardest:   document.getElementById('stats-hardest'),
+    };
+  }
+
+  // ── 렌더링 진입점 ─────────────────────────────────────
+
+  function render() {
+    initElements();
+    const stats = compute();
+
+    renderSummary(stats.summary);
+    renderAccuracy(stats.accuracy);
+    renderForecast(stats.forecast);
+    renderRetention(stats.retention);
+    renderMastery(stats.mastery);
+    renderHardest(stats.hardest);
+  }
+
+  // ── 집계 ──────────────────────────────────────────────
+
+  /**
+   * 대시보드에 필요한 통계 전체 계산
+   */
+  function compute() {
+    const reviews  = Data.getReviewLog();
+    const todayStr = Data.today();
+    return {
+      summary:   getSummary(reviews, todayStr),
+      accuracy:  getAccuracyTimeline(reviews, todayStr),
+      forecast:  getReviewForecast(todayStr),
+      retention: getRetentionCurve(reviews),
+      mastery:   getCategoryMastery(),
+      hardest:   getHardestWords(reviews),
+    };
+  }
+
+  /**
+   * 총 답변 수, 정답률, 평균 답변 시간 (전체 / 최근 7일)
+   */
+  function getSummary(reviews, todayStr) {
+    const weekStart = DateUtil.addDays(todayStr, -6);
+    const correct   = reviews.filter(e => e.correct).length;
+    return {
+      total:       reviews.length,
+      rate:        toRate(correct, reviews.length),
+      avgMs:       averageResponseMs(reviews),
+      recentAvgMs: averageResponseMs(reviews.filter(e => e.date >= weekStart)),
+    };
+  }
+
+  function averageResponseMs(reviews) {
+    const times = reviews
+      .map(e => e.responseMs)
+      .filter(ms => ms > 0 && ms <= MAX_RESPONSE_MS);
+    if (times.length === 0) return null;
+    return Math.round(times.reduce((sum, ms) => sum + ms, 0) / times.length);
+  }
+
+  /**
+   * 최근 ACCURACY_DAYS일 일별 정답률
+   * @returns {{ date: string, total: number, correct: number, rate: number|null }[]}
+   */
+  function getAccuracyTimeline(reviews, todayStr) {
+    const days = Array.from({ length: ACCURACY_DAYS }, (_, i) =>
+      DateUtil.addDays(todayStr, i - ACCURACY_DAYS + 1)
+    );
+    const byDate = Object.fromEntries(days.map(date => [date, { date, total: 0, correct: 0 }]));
+
+    reviews.forEach(e => {
+      const day = byDate[e.date];
+      if (!day) return;
+      day.total += 1;
+      if (e.correct) day.correct += 1;
+    });
+
+    return days.map(date => ({ ...byDate[date], rate: toRate(byDate[date].correct, byDate[date].total) }));
+  }
+
+  /**
+   * 앞으로 FORECAST_DAYS일 동안 날짜별 복습 예정 카드 수
+   * 이미 밀린 카드는 오늘에 포함한다.
+   * @returns {{ date: string, count: number }[]}
+   */
+  function getReviewForecast(todayStr) {
+    const forecast = Array.from({ length: FORECAST_DAYS }, (_, i) => ({
+      date:  DateUtil.addDays(todayStr, i),
+      count: 0,
+    }));
+
+    Data.getWords().forEach(word => {
+      Data.DIRECTIONS.forEach(direction => {
+        const progress = Data.getProgress(word, direction);
+        if (SRS.isNew(progress) || !progress.dueDate) return;
+        const offset = Math.max(0, DateUtil.daysBetween(todayStr, progress.dueDate));
+        if (offset < FORECAST_DAYS) forecast[offset].count += 1;
+      });
+    });
+
+    return forecast;
+  }
+
+  /**
+   * 복습 간격 구간별 정답률 (기억률 곡선)
+   * @returns {{ label: string, total: number, correct: number, rate: number|null }[]}
+   */
+  function getRetentionCurve(reviews) {
+    const buckets  = RETENTION_BUCKETS.map(b => ({ ...b, total: 0, correct: 0 }));
+    const lastSeen = {};
+
+    [...reviews]
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .forEach(e => {
+        const key  = `${e.wordId}:${e.direction || 'jp-ko'}`;
+        const prev = lastSeen[key];
+        lastSeen[key] = e.date;
+        if (!prev) return;
+
+        const gap    = DateUtil.daysBetween(prev, e.date);
+        const bucket = buckets.find(b => gap >= b.min && gap <= b.max);
+        if (!bucket) return;
+        bucket.total += 1;
+        if (e.correct) bucket.correct += 1;
+      });
+
+    return buckets.map(({ label, total, correct }) => ({
+      label, total, correct, rate: toRate(correct, total),
+    }));
+  }
+
+  /**
+   * 카테고리별 숙련도
+   * @returns {{ id, name, total, learned, mastered, learnedRate, masteredRate }[]}
+   */
+  function getCategoryMastery() {
+    return Data.getCategories().map(category => {
+      const words = Data.getWordsByCategory(category.id);
+      let learned  = 0;
+      let mastered = 0;
+
+      words.forEach(word => {
+        const progresses = Data.DIRECTIONS.map(d => Data.getProgress(word, d));
+        if (progresses.some(p => !SRS.isNew(p))) learned += 1;
+        if (progresses.some(p => !SRS.isNew(p) && p.interval >= MATURE_INTERVAL)) mastered += 1;
+      });
+
+      return {
+        id:           category.id,
+        name:         category.name,
+        total:        words.length,
+        learned,
+        mastered,
+        learnedRate:  toRate(learned, words.length) ?? 0,
+        masteredRate: toRate(mastered, words.length) ?? 0,
+      };
+    });
+  }
+
+  /**
+   * 틀린 비율이 높은 단어 (HARDEST_MIN_REVIEWS번 이상 답한 단어만)
+   * @returns {{ word: object, total: number, wrong: number, rate: number }[]}
+   */
+  function getHardestWords(reviews) {
+    const byWord = {};
+    reviews.forEach(e => {
+      const entry = byWord[e.wordId] || (byWord[e.wordId] = { total: 0, wrong: 0 });
+      entry.total += 1;
+      if (!e.correct) entry.wrong += 1;
+    });
+
+    return Object.entries(byWord)
+      .filter(([, s]) => s.total >= HARDEST_MIN_REVIEWS && s.wrong > 0)
+      .map(([wordId, s]) => ({ word: Data.getWordById(wordId), ...s, rate: toRate(s.total - s.wrong, s.total) }))
+      .filter(item => item.word)
+      .sort((a, b) => (b.wrong / b.total) - (a.wrong / a.total) || b.wrong - a.wrong)
+      .slice(0, HARDEST_COUNT);
+  }
+
+  // ── 섹션 렌더링 ───────────────────────────────────────
+
+  function renderSummary(summary) {
+    if (!els.summary) return;
+    els.summary.innerHTML = `
+      <span class="summary-item">📝 총 답변 <strong>${summary.total}</strong>회</span>
+      <span class="summary-item">🎯 정답률 <strong>${formatRate(summary.rate)}</strong></span>
+      <span class="summary-item">⏱️ 평균 답변 <strong>${formatSeconds(summary.avgMs)}</strong></span>
+      <span class="summary-item">최근 7일 <strong>${formatSeconds(summary.recentAvgMs)}</strong></span>
+    `;
+  }
+
+  function renderAccuracy(timeline) {
+    if (!els.accuracy) return;
+    if (timeline.every(d => d.total === 0)) {
+      els.accuracy.innerHTML = emptyHTML('최근 30일 동안 학습 기록이 없습니다.');
+      return;
+    }
+    els.accuracy.innerHTML = lineChartSVG(
+      timeline.map(d => ({
+        label: d.date.slice(5).replace('-', '/'),
+        value: d.rate,
+        title: `${d.date} · ${d.correct} / ${d.total}`,
+      })),
+      { max: 100, unit: '%' }
+    );
+  }
+
+  function renderForecast(forecast) {
+    if (!els.forecast) return;
+    if (forecast.every(d => d.count === 0)) {
+      els.forecast.innerHTML = emptyHTML('예정된 복습이 없습니다.');
+      return;
+    }
+    els.forecast.innerHTML = barChartSVG(
+      forecast.map((d, i) => ({
+        label: i === 0 ? '오늘' : d.date.slice(5).replace('-', '/'),
+        value: d.count,
+        title: `${d.date} · ${d.count}개`,
+      }))
+    );
+  }
+
+  function renderRetention(curve) {
+    if (!els.retention) return;
+    if (curve.every(b => b.total === 0)) {
+      els.retention.innerHTML = emptyHTML('같은 카드를 두 번 이상 복습하면 표시됩니다.');
+      return;
+    }
+    els.retention.innerHTML = lineChartSVG(
+      curve.map(b => ({
+        label: b.label,
+        value: b.rate,
+        title: `${b.label} · ${b.correct} / ${b.total}`,
+      })),
+      { max: 100, unit: '%', labelEvery: 1 }
+    );
+  }
+
+  function renderMastery(mastery) {
+    if (!els.mastery) return;
+    if (mastery.length === 0) {
+      els.mastery.innerHTML = emptyHTML('카테고리가 없습니다.');
+      return;
+    }
+    els.mastery.innerHTML = mastery.map(c => `
+      <div class="mastery-row" title="학습 ${c.learned}개 · 숙련 ${c.mastered}개 / 전체 ${c.total}개">
+        <span class="mastery-name">${escapeHTML(c.name)}</span>
+        <div class="mastery-bar">
+          <div class="mastery-fill mastery-fill--learned"  style="width:${c.learnedRate}%"></div>
+          <div class="mastery-fill mastery-fill--mastered" style="width:${c.masteredRate}%"></div>
+        </div>
+        <span class="mastery-rate">${c.masteredRate}%</span>
+      </div>
+    `).join('');
+  }
+
+  function renderHardest(hardest) {
+    if (!els.hardest) return;
+    if (hardest.length === 0) {
+      els.hardest.innerHTML = emptyHTML(`${HARDEST_MIN_REVIEWS}번 이상 답한 단어 중 틀린 단어가 없습니다.`);
+      return;
+    }
+    els.hardest.innerHTML = `
+      <ol class="hardest-list">
+        ${hardest.map(item => `
+          <li class="hardest-item">
+            <span class="hardest-japanese">${rubyHTML(item.word)}</span>
+            <span class="hardest-korean">${escapeHTML(item.word.korean)}</span>
+            <span class="hardest-rate">${item.rate}% <small>(${item.wrong}/${item.total} 오답)</small></span>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+  }
+
+  // ── SVG 차트 ──────────────────────────────────────────
+
+  /**
+   * 꺾은선 차트 (값이 null인 점은 건너뛰고 이어 그림)
+   * @param {{ label: string, value: number|null, title: string }[]} points
+   * @param {object} options
+   * @param {number} options.max        - y축 최댓값
+   * @param {string} options.unit       - y축 눈금 단위
+   * @param {number} options.labelEvery - x축 레이블 간격 (기본: 약 5개만 표시)
+   */
+  function lineChartSVG(points, { max = 100, unit = '', labelEvery } = {}) {
+    const { plotW, plotH } = plotSize();
+    const step = points.length > 1 ? plotW / (points.length - 1) : 0;
+    const x = i => CHART.left + (points.length > 1 ? i * step : plotW / 2);
+    const y = v => CHART.top + plotH - (v / max) * plotH;
+
+    const drawn = points
+      .map((p, i) => ({ ...p, cx: x(i), cy: p.value === null ? null : y(p.value) }))
+      .filter(p => p.cy !== null);
+
+    const line = drawn.map(p => `${p.cx.toFixed(1)},${p.cy.toFixed(1)}`).join(' ');
+    const dots = drawn.map(p => `
+      <circle class="chart-dot" cx="${p.cx.toFixed(1)}" cy="${p.cy.toFixed(1)}" r="3">
+        <title>${escapeHTML(p.title)} (${p.value}${unit})</title>
+      </circle>
+    `).join('');
+
+    return svgWrap(`
+      ${gridLinesSVG(max, unit)}
+      ${xLabelsSVG(points.map(p => p.label), x, labelEvery)}
+      <polyline class="chart-line" points="${line}" />
+      ${dots}
+    `);
+  }
+
+  /**
+   * 막대 차트
+   * @param {{ label: string, value: number, title: string }[]} bars
+   */
+  function barChartSVG(bars) {
+    const { plotW, plotH } = plotSize();
+    const max    = Math.max(1, ...bars.map(b => b.value));
+    const slot   = plotW / bars.length;
+    const width  = Math.max(2, slot * 0.6);
+    const x      = i => CHART.left + slot * i + slot / 2;
+
+    const rects = bars.map((b, i) => {
+      const h = (b.value / max) * plotH;
+      const top = CHART.top + plotH - h;
+      return `
+        <rect class="chart-bar" x="${(x(i) - width / 2).toFixed(1)}" y="${top.toFixed(1)}"
+              width="${width.toFixed(1)}" height="${h.toFixed(1)}" rx="2">
+          <title>${escapeHTML(b.title)}</title>
+        </rect>
+        ${b.value > 0 ? `<text class="chart-value" x="${x(i).toFixed(1)}" y="${(top - 3).toFixed(1)}">${b.value}</text>` : ''}
+      `;
+    }).join('');
+
+    return svgWrap(`
+      ${gridLinesSVG(max, '')}
+      ${xLabelsSVG(bars.map(b => b.label), x)}
+      ${rects}
+    `);
+  }
+
+  function plotSize() {
+    return {
+      plotW: CHART.width - CHART.left - CHART.right,
+      plotH: CHART.height - CHART.top - CHART.bottom,
+    };
+  }
+
+  function svgWrap(content) {
+    return `
+      <svg class="stats-chart" viewBox="0 0 ${CHART.width} ${CHART.height}"
+           preserveAspectRatio="xMidYMid meet" role="img">
+        ${content}
+      </svg>
+    `;
+  }
+
+  /**
+   * y축 눈금선 (0, 절반, 최댓값) - 절반 값이 정수가 아니면 레이블 생략
+   */
+  function gridLinesSVG(max, unit) {
+    const { plotW, plotH } = plotSize();
+    return [0, 0.5, 1].map(ratio => {
+      const y     = CHART.top + plotH - ratio * plotH;
+      const value = max * ratio;
+      return `
+        <line class="chart-grid" x1="${CHART.left}" x2="${CHART.left + plotW}" y1="${y}" y2="${y}" />
+        ${Number.isInteger(value)
+          ? `<text class="chart-axis" x="${CHART.left - 4}" y="${y + 3}" text-anchor="end">${value}${unit}</text>`
+          : ''}
+      `;
+    }).join('');
+  }
+
+  /**
+   * x축 레이블 (간격을 정하지 않으면 5개 안팎만 표시)
+   */
+  function xLabelsSVG(labels, x, every) {
+    const interval = every || Math.max(1, Math.ceil(labels.length / 5));
+    const y = CHART.height - 6;
+    return labels.map((label, i) => {
+      const isLast = i === labels.length - 1;
+      if (i % interval !== 0 && !isLast) return '';
+      if (!isLast && labels.length - 1 - i < interval / 2 && i !== 0) return ''; // 마지막 레이블과 겹침 방지
+      return `<text class="chart-axis" x="${x(i).toFixed(1)}" y="${y}" text-anchor="middle">${escapeHTML(label)}</text>`;
+    }).join('');
+  }
+
+  // ── 유틸 ──────────────────────────────────────────────
+
+  function toRate(correct, total) {
+    return total > 0 ? Math.round((correct / total) * 100) : null;
+  }
+
+  function formatRate(rate) {
+    return rate === null ? '-' : `${rate}%`;
+  }
+
+  function formatSeconds(ms) {
+    return ms === null ? '-' : `${(ms / 1000).toFixed(1)}초`;
+  }
+
+  function emptyHTML(message) {
+    return `<p class="empty-msg">${escapeHTML(message)}</p>`;
+  }
+
+  function rubyHTML(word) {
+    return word.furigana
+      ? `<ruby>${escapeHTML(word.japanese)}<rt>${escapeHTML(word.furigana)}</rt></ruby>`
+      : escapeHTML(word.japanese);
+  }
+
+  function escapeHTML(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // ── public API ────────────────────────────────────────
+
+  return {
+    render,
+    compute,
+  };
+
+})();
@@ -1,7 +1,29 @@
 /**
  * storage.js
- * localStorage 읽기/쓰기 전담 모듈
+ * IndexedDB 읽기/쓰기 전담 모듈
  * 모든 데이터 접근은 이 모듈을 통해서만 이루어진다.
+ *
+ * ── 구조 ─────────────────────────────────────────────────
+ *
+ * 앱 시작 시 init()으로 IndexedDB 전체를 메모리 캐시에 올린다.
+ * - 읽기: 캐시에서 동기로 반환 (getWords, getSettings ...)
+ * - 쓰기: 캐시를 즉시 갱신하고, 바뀐 레코드만 IndexedDB에 비동기 저장
+ *         (putWord, deleteWord ...) → Promise<boolean> 반환
+ * 저장 실패(용량 초과 등)는 onError()로 등록한 핸들러에 전달된다.
+ *
+ * ── IndexedDB 'vocab_db' ─────────────────────────────────
+ *
+ * words      : 단어 레코드 (키: id, 등록 순서 유지용 내부 필드 seq)
+ * categories : 카테고리 레코드
+ * reviews    : 복습 이벤트 레코드
+ * kv         : 그 밖의 값 { key, value } (학습 기록, 설정, 진행 중인 세션, 맞춤 학습 프리셋 등)
+ *
+ * ── 마이그레이션 ─────────────────────────────────────────
+ *
+ * 구버전 localStorage 'vocab_*' 키는 최초 1회만 IndexedDB로 옮기고 localStorage에서 삭제한다.
+ * DB에 이미 데이터가 있으면 옮기지 않고 kv 'vocab_legacy_backup' 하나에 보관한다.
+ * 시도한 뒤에는 kv 'vocab_migrated' 를 남겨 다음 실행부터는 건너뛴다.
+ * IndexedDB를 쓸 수 없는 환경에서는 localStorage에 그대로 저장한다.
  */
 
 const Storage = (() => {
@@ -10,34 +32,377 @@ const Storage = (() => {
     WORDS:      'vocab_words',
     CATEGORIES: 'vocab_categories',
     STUDY_LOG:  'vocab_study_log',
+    REVIEW_LOG: 'vocab_review_log',
     SETTINGS:   'vocab_settings',
+    SESSION:    'vocab_session',
+    PRESETS:    'vocab_presets',
   };
 
+  const DB_NAME    = 'vocab_db';
+  const DB_VERSION = 1;
+
+  // 레코드 저장소 (배열 데이터) ↔ 구버전 localStorage 키
+  const RECORD_STORES = {
+    words:      KEYS.WORDS,
+    categories: KEYS.CATEGORIES,
+    reviews:    KEYS.REVIEW_LOG,
+  };
+  const KV_STORE = 'kv';
+
+  const MIGRATED_KEY      = 'vocab_migrated';      // kv: localStorage 이전을 시도했으면 true
+  const LEGACY_BACKUP_KEY = 'vocab_legacy_backup'; // kv: 옮기지 않은 구버전 데이터
+
+  let db = null;
+
+  // 메모리 캐시
+  const cache = {
+    words:      [],
+    categories: [],
+    reviews:    [],
+    kv:         {},
+  };
+
+  // 레코드 id → 등록 순서(seq), 저장소별 다음 순번
+  const seqMaps = {
+    words:      new Map(),
+    categories: new Map(),
+    reviews:    new Map(),
+  };
+  const nextSeq = {
+    words:      0,
+    categories: 0,
+    reviews:    0,
+  };
+
+  const errorHandlers = [];
+
+  // ── 초기화 ────────────────────────────────────────────
+
   /**
-   * localStorage에서 JSON 파싱해서 반환
-   * 키가 없거나 파싱 실패 시 fallback 반환
+   * IndexedDB 열기 → localStorage 마이그레이션 → 캐시 로드
+   * 앱 시작 시 가장 먼저 await 해야 한다.
    */
-  function get(key, fallback = null) {
+  async function init() {
+    try {
+      db = await openDB();
+    } catch (e) {
+      console.warn('[Storage] IndexedDB를 사용할 수 없어 localStorage로 저장합니다.', e);
+      db = null;
+    }
+
+    if (!db) {
+      loadFromLocalStorage();
+      return;
+    }
+
     try {
-      const raw = localStorage.getItem(key);
-      if (raw === null) return fallback;
-      return JSON.parse(raw);
+      await migrateFromLocalStorage();
+      await loadFromDB();
     } catch (e) {
-      console.warn(`[Storage] get 실패 - key: ${key}`, e);
-      return fallback;
+      console.error('[Storage] 초기화 실패', e);
+      notifyError(e);
     }
   }
 
+  function openDB() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        return reject(new Error('indexedDB 미지원'));
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        Object.keys(RECORD_STORES).forEach(name => {
+          if (!database.objectStoreNames.contains(name)) {
+            database.createObjectStore(name, { keyPath: 'id' });
+          }
+        });
+        if (!database.objectStoreNames.contains(KV_STORE)) {
+          database.createObjectStore(KV_STORE, { keyPath: 'key' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror   = () => reject(request.error);
+      request.onblocked = () => reject(new Error('다른 탭에서 DB를 사용 중입니다.'));
+    });
+  }
+
   /**
-   * localStorage에 JSON 직렬화해서 저장
+   * IndexedDB 전체를 캐시에 로드 (seq 순 = 등록 순)
    */
-  function set(key, value) {
+  async function loadFromDB() {
+    const tx = db.transaction([...Object.keys(RECORD_STORES), KV_STORE], 'readonly');
+
+    const loads = Object.keys(RECORD_STORES).map(name =>
+      requestToPromise(tx.objectStore(name).getAll()).then(records => {
+        records.sort((a, b) => (a.seq ?? 0) - (b.seq ?? 0));
+        cache[name] = records.map(stripSeq);
+        assignSeqs(name);
+      })
+    );
+
+    loads.push(
+      requestToPromise(tx.objectStore(KV_STORE).getAll()).then(entries => {
+        cache.kv = Object.fromEntries(entries.map(e => [e.key, e.value]));
+      })
+    );
+
+    await Promise.all(loads);
+  }
+
+  /**
+   * 구버전 localStorage 데이터를 IndexedDB로 1회 이전
+   * DB가 비어 있으면 옮기고, 이미 데이터가 있으면 LEGACY_BACKUP_KEY 하나에 보관
+   * 어느 쪽이든 localStorage 키는 삭제하고 MIGRATED_KEY 를 남긴다.
+   */
+  async function migrateFromLocalStorage() {
+    const migrated = await requestToPromise(
+      db.transaction(KV_STORE, 'readonly').objectStore(KV_STORE).get(MIGRATED_KEY)
+    );
+    if (migrated) return;
+
+    const legacy    = readLegacyKeys();
+    const hasLegacy = Object.keys(legacy).length > 0;
+
+    const tx = db.transaction([...Object.keys(RECORD_STORES), KV_STORE], 'readwrite');
+    const counts = await Promise.all(
+      Object.keys(RECORD_STORES).map(name => requestToPromise(tx.objectStore(name).count()))
+    );
+    const isEmpty = counts.every(n => n === 0);
+
+    if (hasLegacy && isEmpty) {
+      Object.entries(RECORD_STORES).forEach(([name, key]) => {
+        (legacy[key] || []).forEach((record, seq) => {
+          tx.objectStore(name).put({ ...stripSeq(record), seq });
+        });
+      });
+      [KEYS.STUDY_LOG, KEYS.SETTINGS].forEach(key => {
+        if (legacy[key] !== undefined) tx.objectStore(KV_STORE).put({ key, value: legacy[key] });
+      });
+    } else if (hasLegacy) {
+      tx.objectStore(KV_STORE).put({ key: LEGACY_BACKUP_KEY, value: legacy });
+    }
+    tx.objectStore(KV_STORE).put({ key: MIGRATED_KEY, value: true });
+
+    await transactionDone(tx);
+    if (!hasLegacy) return;
+
+    Object.values(KEYS).forEach(key => localStorage.removeItem(key));
+    console.log(isEmpty
+      ? '[Storage] localStorage → IndexedDB 이전 완료'
+      : '[Storage] DB에 데이터가 있어 localStorage 데이터는 백업으로만 보관');
+  }
+
+  function readLegacyKeys() {
+    const legacy = {};
+    try {
+      Object.values(KEYS).forEach(key => {
+        const raw = localStorage.getItem(key);
+        if (raw !== null) legacy[key] = JSON.parse(raw);
+      });
+    } catch (e) {
+      console.warn('[Storage] localStorage 읽기 실패', e);
+    }
+    return legacy;
+  }
+
+  /**
+   * IndexedDB 미지원 환경: localStorage에서 캐시 로드
+   */
+  function loadFromLocalStorage() {
+    const legacy = readLegacyKeys();
+    Object.entries(RECORD_STORES).forEach(([name, key]) => {
+      cache[name] = legacy[key] || [];
+      assignSeqs(name);
+    });
+    cache.kv = {};
+    [KEYS.STUDY_LOG, KEYS.SETTINGS].forEach(key => {
+      if (legacy[key] !== undefined) cache.kv[key] = legacy[key];
+    });
+  }
+
+  // ── 저장 (IndexedDB / localStorage) ──────────────────
+
+  /**
+   * 레코드 저장소에 쓰기 트랜잭션 실행
+   * @param {string}   name - 'words' | 'categories' | 'reviews'
+   * @param {Function} work - (store) => void, 트랜잭션 안에서 실행할 작업
+   */
+  function writeRecords(name, work) {
+    if (!db) return Promise.resolve(saveLegacy(RECORD_STORES[name], cache[name]));
+
+    try {
+      const tx = db.transaction(name, 'readwrite');
+      work(tx.objectStore(name));
+      return transactionDone(tx)
+        .then(() => true)
+        .catch(e => handleWriteError(name, e));
+    } catch (e) {
+      return Promise.resolve(handleWriteError(name, e));
+    }
+  }
+
+  /**
+   * 레코드 추가/수정 (id가 이미 있으면 덮어쓰기)
+   */
+  function putRecords(name, records) {
+    upsertCache(name, records);
+    return writeRecords(name, store => {
+      records.forEach(record => store.put(withSeq(name, record)));
+    });
+  }
+
+  function deleteRecords(name, ids) {
+    const idSet = new Set(ids);
+    cache[name] = cache[name].filter(r => !idSet.has(r.id));
+    ids.forEach(id => seqMaps[name].delete(id));
+    return writeRecords(name, store => {
+      ids.forEach(id => store.delete(id));
+    });
+  }
+
+  /**
+   * 저장소 전체 교체 (백업 복원 등)
+   */
+  function replaceRecords(name, records) {
+    cache[name] = records.map(stripSeq);
+    assignSeqs(name);
+    return writeRecords(name, store => {
+      store.clear();
+      cache[name].forEach(record => store.put(withSeq(name, record)));
+    });
+  }
+
+  /**
+   * 캐시 순서대로 순번 다시 매기기
+   */
+  function assignSeqs(name) {
+    seqMaps[name].clear();
+    cache[name].forEach((record, i) => seqMaps[name].set(record.id, i));
+    nextSeq[name] = cache[name].length;
+  }
+
+  /**
+   * 저장용 레코드 (등록 순서 seq 포함)
+   * 새 레코드는 다음 순번을 바로 발급해 순서가 꼬이지 않도록 한다.
+   */
+  function withSeq(name, record) {
+    if (!seqMaps[name].has(record.id)) {
+      seqMaps[name].set(record.id, nextSeq[name]++);
+    }
+    return { ...stripSeq(record), seq: seqMaps[name].get(record.id) };
+  }
+
+  function upsertCache(name, records) {
+    const list = [...cache[name]];
+    const indexById = new Map(list.map((r, i) => [r.id, i]));
+    records.forEach(record => {
+      const clean = stripSeq(record);
+      const idx = indexById.get(clean.id);
+      if (idx === undefined) {
+        indexById.set(clean.id, list.length);
+        list.push(clean);
+      } else {
+        list[idx] = clean;
+      }
+    });
+    cache[name] = list;
+  }
+
+  function stripSeq(record) {
+    const { seq, ...rest } = record;
+    return rest;
+  }
+
+  function handleWriteError(name, e) {
+    console.error(`[Storage] 저장 실패 - ${name}`, e);
+    notifyError(e);
+    return false;
+  }
+
+  /**
+   * IndexedDB 미지원 환경의 localStorage 저장
+   */
+  function saveLegacy(key, value) {
     try {
       localStorage.setItem(key, JSON.stringify(value));
       return true;
     } catch (e) {
-      console.error(`[Storage] set 실패 - key: ${key}`, e);
-      return false;
+      return handleWriteError(key, e);
+    }
+  }
+
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror   = () => reject(request.error);
+    });
+  }
+
+  function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror    = () => reject(tx.error);
+      tx.onabort    = () => reject(tx.error || new Error('트랜잭션 중단'));
+    });
+  }
+
+  // ── 저장 실패 알림 ────────────────────────────────────
+
+  /**
+   * 저장 실패 시 호출될 핸들러 등록
+   * @param {Function} handler - ({ message, isQuota, error }) => void
+   */
+  function onError(handler) {
+    errorHandlers.push(handler);
+  }
+
+  function notifyError(error) {
+    const isQuota = isQuotaError(error);
+    const message = isQuota
+      ? '저장 공간이 부족해 데이터를 저장하지 못했습니다. JSON으로 백업한 뒤 사용하지 않는 단어를 정리해주세요.'
+      : '데이터를 저장하지 못했습니다. 잠시 후 다시 시도해주세요.';
+    errorHandlers.forEach(handler => {
+      try {
+        handler({ message, isQuota, error });
+      } catch (e) {
+        console.error('[Storage] 에러 핸들러 실패', e);
+      }
+    });
+  }
+
+  function isQuotaError(error) {
+    if (!error) return false;
+    return error.name === 'QuotaExceededError'
+      || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+      || error.code === 22;
+  }
+
+  // ── 키-값 (kv) ────────────────────────────────────────
+
+  /**
+   * 키에 저장된 값 반환
+   * 키가 없으면 fallback 반환
+   */
+  function get(key, fallback = null) {
+    return key in cache.kv ? cache.kv[key] : fallback;
+  }
+
+  /**
+   * 키에 값 저장
+   */
+  function set(key, value) {
+    cache.kv[key] = value;
+    if (!db) return Promise.resolve(saveLegacy(key, value));
+
+    try {
+      const tx = db.transaction(KV_STORE, 'readwrite');
+      tx.objectStore(KV_STORE).put({ key, value });
+      return transactionDone(tx).then(() => true).catch(e => handleWriteError(key, e));
+    } catch (e) {
+      return Promise.resolve(handleWriteError(key, e));
     }
   }
 
@@ -45,12 +410,18 @@ const Storage = (() => {
    * 특정 키 삭제
    */
   function remove(key) {
-    try {
+    delete cache.kv[key];
+    if (!db) {
       localStorage.removeItem(key);
-      return true;
+      return Promise.resolve(true);
+    }
+
+    try {
+      const tx = db.transaction(KV_STORE, 'readwrite');
+      tx.objectStore(KV_STORE).delete(key);
+      return transactionDone(tx).then(() => true).catch(e => handleWriteError(key, e));
     } catch (e) {
-      console.error(`[Storage] remove 실패 - key: ${key}`, e);
-      return false;
+      return Promise.resolve(handleWriteError(key, e));
     }
   }
 
@@ -58,56 +429,159 @@ const Storage = (() => {
    * 앱 데이터 전체 초기화 (설정 포함)
    */
   function clearAll() {
-    Object.values(KEYS).forEach(key => remove(key));
+    const keys = Object.keys(cache.kv);
+    return Promise.all([
+      ...Object.keys(RECORD_STORES).map(name => replaceRecords(name, [])),
+      ...keys.map(key => remove(key)),
+    ]).then(results => results.every(Boolean));
   }
 
   // ── 단어 ──────────────────────────────────────────────
 
   function getWords() {
-    return get(KEYS.WORDS, []);
+    return [...cache.words];
   }
 
   function setWords(words) {
-    return set(KEYS.WORDS, words);
+    return replaceRecords('words', words);
+  }
+
+  function putWord(word) {
+    return putRecords('words', [word]);
+  }
+
+  function putWords(words) {
+    return putRecords('words', words);
+  }
+
+  function deleteWord(id) {
+    return deleteRecords('words', [id]);
+  }
+
+  function deleteWords(ids) {
+    return deleteRecords('words', ids);
   }
 
   // ── 카테고리 ──────────────────────────────────────────
 
   function getCategories() {
-    return get(KEYS.CATEGORIES, []);
+    return [...cache.categories];
   }
 
   function setCategories(categories) {
-    return set(KEYS.CATEGORIES, categories);
+    return replaceRecords('categories', categories);
+  }
+
+  function putCategory(category) {
+    return putRecords('categories', [category]);
+  }
+
+  function deleteCategory(id) {
+    return deleteRecords('categories', [id]);
   }
 
   // ── 학습 기록 ─────────────────────────────────────────
 
   function getStudyLog() {
-    return get(KEYS.STUDY_LOG, {});
+    return { ...get(KEYS.STUDY_LOG, {}) };
   }
 
   function setStudyLog(log) {
     return set(KEYS.STUDY_LOG, log);
   }
 
+  // ── 복습 이벤트 기록 ──────────────────────────────────
+  // 카드 하나에 답할 때마다 쌓이는 이벤트 배열 (시간순)
+
+  function getReviewLog() {
+    return [...cache.reviews];
+  }
+
+  function setReviewLog(events) {
+    return replaceRecords('reviews', events);
+  }
+
+  function addReview(event) {
+    return putRecords('reviews', [event]);
+  }
+
+  function putReviews(events) {
+    return putRecords('reviews', events);
+  }
+
+  function deleteReview(id) {
+    return deleteRecords('reviews', [id]);
+  }
+
+  // ── 진행 중인 학습 세션 ───────────────────────────────
+  // 새로고침 / 탭 이동 후 이어서 학습하기 위한 스냅샷 (단어는 ID로만 저장)
+
+  function getActiveSession() {
+    return get(KEYS.SESSION, null);
+  }
+
+  function setActiveSession(snapshot) {
+    return set(KEYS.SESSION, snapshot);
+  }
+
+  function clearActiveSession() {
+    return remove(KEYS.SESSION);
+  }
+
+  // ── 맞춤 학습 프리셋 ──────────────────────────────────
+  // 카테고리 + 태그 + 품사 조합에 이름을 붙여 저장한 목록 (홈 화면에 표시)
+
+  function getPresets() {
+    return [...get(KEYS.PRESETS, [])];
+  }
+
+  function setPresets(presets) {
+    return set(KEYS.PRESETS, presets);
+  }
+
   // ── 설정 ──────────────────────────────────────────────
 
   const DEFAULT_SETTINGS = {
     dailyGoal:        10,  // 하루 학습 목표 단어 수
+    newWordsPerDay:    5,  // 하루 새로 배울 단어 수
     grassLevel1:      10,  // 잔디 연한 색 기준
     grassLevel2:      20,  // 잔디 중간 색 기준
     grassLevel3:      30,  // 잔디 진한 색 기준
+    grassMode:     'goal',   // 잔디 색상 기준: 'goal' (하루 목표 달성) | 'count' (grassLevel 단어 수)
     graduationStreak:  3,  // 오답 졸업 연속 정답 횟수
-    cardOrder:    'random', // 카드 순서: 'random' | 'ordered'
+    streakFreezeMax:   2,  // 연속 학습 프리즈 최대 보관 수 (0 = 사용 안 함)
+    dayStartHour:      0,  // 하루 시작 시각 (0~23시, 이 시각 전은 전날로 기록)
+    cardOrder:     'random', // 카드 순서: 'random' | 'ordered'
+    studyMode:     'flip',   // 학습 방식: 'flip' | 'typing' | 'choice' | 'listening'
+    cardDirection: 'jp-ko',  // 카드 방향: 'jp-ko' (일 → 한) | 'ko-jp' (한 → 일) | 'mixed'
+    ttsAutoPlay:   'off',    // 발음 자동 재생: 'off' | 'show' (일본어 표시 시) | 'flip' (뒤집을 때)
+    ttsRate:         1,      // 발음 재생 속도 (0.6 ~ 1.2)
+    reminderEnabled: false,  // 학습 알림 사용
+    reminderTime:  '20:00',  // 학습 알림 시각 (HH:MM, 이때까지 목표 미달이면 알림)
   };
 
   function getSettings() {
-    const saved = get(KEYS.SETTINGS, {});
+    const saved = migrateSettings(get(KEYS.SETTINGS, {}));
     // 저장된 설정과 기본값 병합 (새 키 추가 대비)
     return { ...DEFAULT_SETTINGS, ...saved };
   }
 
+  /**
+   * 예전 설정 키 정리 (백업에서 복원한 설정도 여기서 변환)
+   * - choiceDirection (객관식 전용 방향) → cardDirection 으로 통합
+   *   객관식을 쓰던 사용자만 그 방향을 이어받고, 다른 학습 방식에서는 쓰이지 않던 값이라 버림
+   * 정리된 값은 다음 setSettings() 때 저장된다.
+   */
+  function migrateSettings(saved) {
+    if (saved.choiceDirection === undefined) return saved;
+
+    const { choiceDirection, ...rest } = saved;
+    if (rest.cardDirection === undefined && rest.studyMode === 'choice' && choiceDirection === 'ko-jp') {
+      rest.cardDirection = choiceDirection;
+    }
+    return rest;
+  }
+
   function setSettings(settings) {
     return set(KEYS.SETTINGS, settings);
   }
@@ -119,19 +593,29 @@ const Storage = (() => {
       words:      getWords(),
       categories: getCategories(),
       studyLog:   getStudyLog(),
+      reviewLog:  getReviewLog(),
       settings:   getSettings(),
+      presets:    getPresets(),
       exportedAt: new Date().toISOString(),
     };
   }
 
-  function importAll(data) {
+  /**
+   * 백업 데이터로 전체 교체
+   * @returns {Promise<boolean>} 모든 저장이 끝난 뒤 성공 여부
+   */
+  async function importAll(data) {
     try {
       if (!data || typeof data !== 'object') throw new Error('유효하지 않은 데이터');
-      if (data.words)      setWords(data.words);
-      if (data.categories) setCategories(data.categories);
-      if (data.studyLog)   setStudyLog(data.studyLog);
-      if (data.settings)   setSettings(data.settings);
-      return true;
+      const writes = [];
+      if (data.words)      writes.push(setWords(data.words));
+      if (data.categories) writes.push(setCategories(data.categories));
+      if (data.studyLog)   writes.push(setStudyLog(data.studyLog));
+      if (data.reviewLog)  writes.push(setReviewLog(data.reviewLog));
+      if (data.settings)   writes.push(setSettings(data.settings));
+      if (data.presets)    writes.push(setPresets(data.presets));
+      const results = await Promise.all(writes);
+      return results.every(Boolean);
     } catch (e) {
       console.error('[Storage] importAll 실패', e);
       return false;
@@ -143,20 +627,38 @@ const Storage = (() => {
   return {
     KEYS,
     DEFAULT_SETTINGS,
+    init,
+    onError,
     get,
     set,
     remove,
     clearAll,
     getWords,
     setWords,
+    putWord,
+    putWords,
+    deleteWord,
+    deleteWords,
     getCategories,
     setCategories,
+    putCategory,
+    deleteCategory,
     getStudyLog,
     setStudyLog,
+    getReviewLog,
+    setReviewLog,
+    addReview,
+    putReviews,
+    deleteReview,
+    getActiveSession,
+    setActiveSession,
+    clearActiveSession,
+    getPresets,
+    setPresets,
     getSettings,
     setSettings,
     exportAll,
     importAll,
   };
 
-})();
\ No newline at end of file
+})();
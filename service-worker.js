@@ -9,9 +9,14 @@
  * ── 업데이트 방법 ─────────────────────────────────────────
  * CACHE_VERSION 값을 올리면 다음 방문 시 새 캐시로 교체됨
  * 예) 'vocab-v1' → 'vocab-v2'
+ *
+ * ── 학습 알림 ────────────────────────────────────────────
+ * 주기적 백그라운드 동기화(periodicsync) 또는 앱의 확인 요청(message)을 받으면
+ * IndexedDB(vocab_db)의 설정 / 학습 기록을 직접 읽어
+ * 알림 시각이 지났고 오늘 목표를 못 채웠으면 알림 (하루 한 번)
  */
 
-const CACHE_VERSION = 'vocab-v1';
+const CACHE_VERSION = 'vocab-v9';
 
 const STATIC_FILES = [
   './',
@@ -21,14 +26,28 @@ const STATIC_FILES = [
   './css/main.css',
   './css/card.css',
   './css/calendar.css',
+  './css/stats.css',
   './js/storage.js',
+  './js/date.js',
+  './js/srs.js',
   './js/data.js',
+  './js/kana.js',
+  './js/speech.js',
   './js/csv.js',
+  './js/deck.js',
+  './js/anki.js',
   './js/quiz.js',
   './js/settings.js',
   './js/card.js',
   './js/calendar.js',
+  './js/stats.js',
+  './js/reminder.js',
   './js/app.js',
+  // 기본 단어장 (단어장 라이브러리, 오프라인에서도 가져오기 가능)
+  './decks/index.json',
+  './decks/jlpt-n5.json',
+  './decks/jlpt-n4.json',
+  './decks/travel-phrases.json',
 ];
 
 // ── install: 정적 파일 캐싱 ───────────────────────────────
@@ -109,3 +128,129 @@ self.addEventListener('fetch', (event) => {
       })
   );
 });
+
+// ── 학습 알림 ─────────────────────────────────────────────
+
+const REMINDER_TAG = 'study-reminder';
+const DB_NAME      = 'vocab_db';
+const KV_KEYS = {
+  SETTINGS:  'vocab_settings',
+  STUDY_LOG: 'vocab_study_log',
+  REMINDER:  'vocab_reminder', // { lastNotified: 'YYYY-MM-DD' } - 서비스 워커만 기록
+};
+
+// 브라우저가 주기적으로 깨울 때
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag !== REMINDER_TAG) return;
+  event.waitUntil(checkReminder());
+});
+
+// 앱이 열려 있을 때 알림 시각이 되면 앱이 요청
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'check-reminder') return;
+  event.waitUntil(checkReminder());
+});
+
+// 알림을 누르면 열려 있는 앱으로 이동, 없으면 새로 열기
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then(clients => {
+        const client = clients.find(c => 'focus' in c);
+        return client ? client.focus() : self.clients.openWindow('./');
+      })
+  );
+});
+
+/**
+ * 알림 시각이 지났고 오늘 목표를 못 채웠으면 알림 (오늘 이미 알렸으면 생략)
+ */
+async function checkReminder() {
+  let db;
+  try {
+    db = await openVocabDB();
+  } catch (e) {
+    console.warn('[SW] 알림 확인 실패:', e);
+    return;
+  }
+  if (!db) return;
+
+  try {
+    const settings = { dailyGoal: 10, dayStartHour: 0, reminderTime: '20:00', ...await readKV(db, KV_KEYS.SETTINGS) };
+    if (!settings.reminderEnabled) return;
+
+    const now      = new Date();
+    const today    = getStudyDay(now, settings.dayStartHour);
+    const reminder = (await readKV(db, KV_KEYS.REMINDER)) || {};
+    if (reminder.lastNotified === today) return;
+    if (!isPastReminderTime(now, settings)) return;
+
+    const entry = ((await readKV(db, KV_KEYS.STUDY_LOG)) || {})[today];
+    const count = entry ? entry.count : 0;
+    if (count >= settings.dailyGoal) return;
+
+    await self.registration.showNotification('일본어 단어장', {
+      body: `⏰ 학습할 시간이에요! 오늘 목표까지 ${settings.dailyGoal - count}개 남았어요.`,
+      icon: './icon.png',
+      tag:  REMINDER_TAG,
+    });
+    await writeKV(db, KV_KEYS.REMINDER, { ...reminder, lastNotified: today });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * 앱의 DB 열기 (앱을 한 번도 열지 않아 DB가 없으면 만들지 않고 null)
+ */
+function openVocabDB() {
+  return new Promise((resolve, reject) => {
+    let created = false;
+    const request = indexedDB.open(DB_NAME);
+    request.onupgradeneeded = () => {
+      created = true;
+      request.transaction.abort(); // 빈 DB가 생기면 앱의 스키마 생성이 막힘
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror   = () => (created ? resolve(null) : reject(request.error));
+  });
+}
+
+function readKV(db, key) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction('kv', 'readonly').objectStore('kv').get(key);
+    request.onsuccess = () => resolve(request.result ? request.result.value : null);
+    request.onerror   = () => reject(request.error);
+  });
+}
+
+function writeKV(db, key, value) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('kv', 'readwrite');
+    tx.objectStore('kv').put({ key, value });
+    tx.oncomplete = () => resolve();
+    tx.onerror    = () => reject(tx.error);
+  });
+}
+
+/**
+ * 학습일 (js/date.js DateUtil.today()와 같은 계산)
+ */
+function getStudyDay(now, dayStartHour) {
+  const shifted = new Date(now.getTime() - (Number(dayStartHour) || 0) * 60 * 60 * 1000);
+  const y = shifted.getFullYear();
+  const m = String(shifted.getMonth() + 1).padStart(2, '0');
+  const d = String(shifted.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+/**
+ * 학습일 안에서 알림 시각이 지났는지 (js/reminder.js와 같은 계산)
+ */
+function isPastReminderTime(now, settings) {
+  const [hour, minute] = (settings.reminderTime || '20:00').split(':').map(Number);
+  const dayStart = (Number(settings.dayStartHour) || 0) * 60;
+  const sinceDayStart = m => (m - dayStart + 24 * 60) % (24 * 60);
+  return sinceDayStart(now.getHours() * 60 + now.getMinutes()) >= sinceDayStart(hour * 60 + minute);
+}